@@ -1,5 +1,6 @@
 'use strict'
 
+const crypto = require('crypto')
 const inflection = require('inflection')
 const deepEqual = require('deep-equal')
 
@@ -7,17 +8,59 @@ const settings = require('./settings')
 const typeInflections = settings.typeInflections
 const reservedKeys = settings.reservedKeys
 const inBrackets = settings.inBrackets
+const allBrackets = settings.allBrackets
 const isField = settings.isField
 const isFilter = settings.isFilter
+const reservedFamilies = settings.reservedFamilies
+const isReservedFamily = settings.isReservedFamily
+const errorStatus = settings.errorStatus
 const mediaType = settings.mediaType
+const atomicExtension = settings.atomicExtension
 const pageOffset = settings.pageOffset
 const pageLimit = settings.pageLimit
+const pageNumber = settings.pageNumber
+const pageSize = settings.pageSize
+const pageAfter = settings.pageAfter
+const pageBefore = settings.pageBefore
+const pageCount = settings.pageCount
+const encodedLimit = encodeURIComponent(pageLimit)
+const encodedOffset = encodeURIComponent(pageOffset)
+const encodedNumber = encodeURIComponent(pageNumber)
+const encodedSize = encodeURIComponent(pageSize)
+const encodedAfter = encodeURIComponent(pageAfter)
+const encodedBefore = encodeURIComponent(pageBefore)
 const inflectTypeDef = settings.defaults.inflectType
 
+// Identify "or" groups of filters by their index in the query.
+const groupIndexes = new WeakMap()
+
+// Named strategies to inflect field names, which are expected to be lower
+// camel cased. Each may `encode` a field for output and `decode` it from
+// input.
+const keyInflections = {
+  kebab: {
+    encode: field =>
+      inflection.transform(field, [ 'underscore', 'dasherize' ]),
+    decode: key => inflection.camelize(underscore(key), true)
+  },
+  snake: {
+    encode: field => inflection.underscore(field),
+    decode: key => inflection.camelize(key, true)
+  },
+  camel: {
+    encode: field => field,
+    decode: key => key
+  }
+}
+
 
 module.exports = {
   initializeContext, mapRecord, mapId, matchId, castId,
-  underscore, parseBuffer, checkLowerCase, setInflectType
+  underscore, parseBuffer, checkLowerCase, setInflectType, parseMediaTypes,
+  encodeCursors, formatMediaType, castAttribute, mapRelationship,
+  describeError, collectErrors, truncateIncluded, paginateRecords,
+  computeETag, matchETag, checkPrecondition, checkVersions, checkOperation,
+  formatType, parseType, setInflectKeys, formatKey, parseKey
 }
 
 
@@ -31,29 +74,38 @@ function initializeContext (contextRequest, request, response) {
 
   const options = this.options
   const prefix = options.prefix
-  const inflectType = options.inflectType
-  const inflectKeys = options.inflectKeys
   const allowLevel = options.allowLevel
 
+  const atomic = options.atomic
+  const operationsPath = options.operationsPath
+
   const errors = this.errors
-  const NotAcceptableError = errors.NotAcceptableError
   const NotFoundError = errors.NotFoundError
-
-  // According to the spec, if the media type is provided in the Accept
-  // header, it should be included at least once without any media type
-  // parameters.
-  if (request.headers['accept'] &&
-    ~request.headers['accept'].indexOf(mediaType)) {
-    const escapedMediaType = mediaType.replace(/[\+\.]/g, '\\$&')
-    const mediaTypeRegex = new RegExp(`${escapedMediaType}(?!;)`, 'g')
-    if (!request.headers['accept'].match(mediaTypeRegex))
-      throw new NotAcceptableError('The "Accept" header should contain ' +
-        'at least one instance of the JSON media type without any ' +
-        'media type parameters.')
-  }
+  const MethodError = errors.MethodError
+  const BadRequestError = errors.BadRequestError
+  const UnsupportedError = errors.UnsupportedError
 
   request.meta = {}
 
+  const negotiated = negotiateMediaType.call(this, request)
+  request.meta.extensions = negotiated.extensions
+  request.meta.profiles = negotiated.profiles
+
+  // Payloads must declare a media type which can be parsed by a serializer,
+  // otherwise they would be silently ignored.
+  if (parseInt(request.headers['content-length'], 10)) {
+    const contentType = request.headers['content-type']
+
+    if (!contentType)
+      throw new UnsupportedError('The "Content-Type" header is missing.')
+
+    const payloadType = parseMediaTypes(contentType)[0].type
+
+    if (!this.serializers.hasOwnProperty(payloadType))
+      throw new UnsupportedError(`The media type "${payloadType}" is ` +
+        `unsupported, it should be "${mediaType}".`)
+  }
+
   const meta = contextRequest.meta
 
   const method = contextRequest.method = request.meta.method =
@@ -68,14 +120,36 @@ function initializeContext (contextRequest, request, response) {
     uriTemplate.fromUri(request.url)
 
   if (!Object.keys(uriObject).length && request.url.length > 1)
-    throw new NotFoundError('Invalid URI.')
+    throw describeError(new NotFoundError('Invalid URI.'), 'invalid-route')
+
+  // Atomic Operations are executed while parsing the payload, so there is
+  // nothing else to set up here.
+  if (atomic && uriObject.type === operationsPath && !uriObject.ids) {
+    const contentType = request.headers['content-type']
+    const extensions = contentType ? (parseMediaTypes(contentType)[0]
+      .parameters.ext || '').split(' ') : []
+
+    if (request.method !== 'POST')
+      throw new MethodError('Atomic Operations must be sent using POST.')
+
+    if (!~extensions.indexOf(atomicExtension))
+      throw new UnsupportedError('The "Content-Type" header must specify ' +
+        `the "${atomicExtension}" extension.`)
+
+    if (!parseInt(request.headers['content-length'], 10))
+      throw new BadRequestError('Atomic Operations payload is missing.')
+
+    contextRequest.isAtomic = request.meta.isAtomic = true
+
+    return contextRequest
+  }
 
   const type = contextRequest.type = request.meta.type =
-    uriObject.type ? inflectType[uriObject.type] ?
-      checkLowerCase(
-        inflection.transform(underscore(uriObject.type), typeInflections[0]),
-        recordTypes
-      ) : uriObject.type : null
+    uriObject.type ? parseType.call(this, uriObject.type) : null
+
+  if (uriObject.type && !type)
+    throw describeError(new NotFoundError(
+      `The type "${uriObject.type}" does not exist.`), 'invalid-route')
 
   // Show allow options.
   if (request.method === 'OPTIONS' && (!type || type in recordTypes)) {
@@ -103,15 +177,13 @@ function initializeContext (contextRequest, request, response) {
 
   const fields = recordTypes[type]
 
-  attachQueries.call(this, contextRequest)
-  request.meta.options = contextRequest.options
-
   let relatedField = uriObject.relatedField
   const relationship = uriObject.relationship
 
   if (relationship) {
     if (relatedField !== reservedKeys.relationships)
-      throw new NotFoundError('Invalid relationship URI.')
+      throw describeError(new NotFoundError('Invalid relationship URI.'),
+        'invalid-route')
 
     // This is a little unorthodox, but POST and DELETE requests to a
     // relationship entity should be treated as updates.
@@ -123,19 +195,63 @@ function initializeContext (contextRequest, request, response) {
     relatedField = relationship
   }
 
-  if (relatedField && inflectKeys)
-    relatedField = inflection.camelize(underscore(relatedField), true)
+  if (relatedField) relatedField = parseKey.call(this, relatedField)
 
   if (relatedField && (!(relatedField in fields) ||
     !(keys.link in fields[relatedField]) ||
     fields[relatedField][keys.denormalizedInverse]))
-    throw new NotFoundError(`The field "${relatedField}" is ` +
-      `not a link on the type "${type}".`)
-
-  return relatedField ? adapter.find(type, ids, {
+    throw describeError(new NotFoundError(`The field "${relatedField}" is ` +
+      `not a link on the type "${type}".`), 'invalid-route')
+
+  // Related to-many records and their relationships are shown as a
+  // collection, which may be paginated like any other.
+  const isCollection = contextRequest.isCollection =
+    request.meta.isCollection = method === methods.find &&
+    (!ids || Boolean(relatedField && fields[relatedField][keys.isArray]))
+
+  // Problems with the query are reported along with those of the payload,
+  // if it is parsed later.
+  const contentType = request.headers['content-type']
+  contextRequest.hasPayload = Boolean(options.collectErrors &&
+    parseInt(request.headers['content-length'], 10) && contentType &&
+    parseMediaTypes(contentType)[0].type === mediaType &&
+    (contextRequest.method === methods.create ||
+    contextRequest.method === methods.update))
+
+  // Queries apply to the related records, if any.
+  attachQueries.call(this, contextRequest,
+    relatedField ? fields[relatedField][keys.link] : type, isCollection)
+  request.meta.options = contextRequest.options
+  request.meta.cursor = contextRequest.cursor
+  request.meta.skipCount = contextRequest.skipCount
+  request.meta.fieldsets = contextRequest.fieldsets
+
+  // Filters on relationship paths and preconditions must be resolved before
+  // the request.
+  const pathFilters = contextRequest.pathFilters ?
+    resolvePathFilters.call(this, contextRequest) : null
+  const precondition = (!relatedField || relationship) && ids &&
+    (contextRequest.method === methods.update ||
+    contextRequest.method === methods.delete) ?
+    checkPrecondition.call(this, contextRequest, request, response) : null
+  const pending = pathFilters || precondition ?
+    Promise.all([ pathFilters, precondition ]) : null
+
+  // The position of a cursor may depend on the records before it, which are
+  // counted once the filters and the related IDs are resolved.
+  const isPositioned = !contextRequest.cursor ||
+    !contextRequest.cursor.countClause
+  const position = () => isPositioned ? contextRequest :
+    positionCursor.call(this, contextRequest).then(() => contextRequest)
+
+  if (!relatedField)
+    return pending ? pending.then(position) : position()
+
+  return Promise.resolve(pending)
+  .then(() => adapter.find(type, ids, {
     // We only care about getting the related field.
     fields: { [relatedField]: true }
-  }, meta)
+  }, meta))
   .then(records => {
     // Reduce the related IDs from all of the records into an array of
     // unique IDs.
@@ -161,39 +277,37 @@ function initializeContext (contextRequest, request, response) {
     contextRequest.type = request.meta.type = relatedType
     contextRequest.ids = request.meta.ids = relatedIds
 
-    return contextRequest
-  }) : contextRequest
+    return position()
+  })
 }
 
 
 /**
  * Internal function to map a record to JSON API format. It must be
  * called directly within the context of the serializer. Within this
- * function, IDs must be cast to strings, per the spec.
+ * function, IDs must be cast to strings, per the spec. Sparse fieldsets
+ * are keyed by type, and omit the fields which are not requested.
  */
-function mapRecord (type, record) {
+function mapRecord (type, record, fieldsets) {
   const keys = this.keys
   const uriTemplate = this.uriTemplate
   const recordTypes = this.recordTypes
   const fields = recordTypes[type]
   const options = this.options
   const prefix = options.prefix
-  const inflectType = options.inflectType
-  const inflectKeys = options.inflectKeys
+  const maxLinkage = options.maxLinkage
   const clone = {}
 
   const id = record[keys.primary]
 
-  clone[reservedKeys.type] = inflectType[type] ?
-    inflection.transform(type, typeInflections[1]) : type
+  clone[reservedKeys.type] = formatType.call(this, type)
   clone[reservedKeys.id] = id.toString()
   clone[reservedKeys.meta] = {}
   clone[reservedKeys.attributes] = {}
   clone[reservedKeys.relationships] = {}
   clone[reservedKeys.links] = {
     [reservedKeys.self]: prefix + uriTemplate.fillFromObject({
-      type: inflectType[type] ?
-        inflection.transform(type, typeInflections[1]) : type,
+      type: formatType.call(this, type),
       ids: id
     })
   }
@@ -210,12 +324,13 @@ function mapRecord (type, record) {
 
     if (!hasField && !fieldDefinition[keys.link]) continue
 
+    if (fieldDefinition && fieldsets && fieldsets[type] &&
+      !fieldsets[type][field]) continue
+
     const originalField = field
 
-    // Per the recommendation, dasherize keys.
-    if (inflectKeys)
-      field = inflection.transform(field,
-        [ 'underscore', 'dasherize' ])
+    // Per the recommendation, dasherize keys by default.
+    field = formatKey.call(this, field)
 
     // Handle meta/attributes.
     if (!fieldDefinition || fieldDefinition[keys.type]) {
@@ -230,31 +345,32 @@ function mapRecord (type, record) {
     // Handle link fields.
     const ids = record[originalField]
 
-    const linkedType = inflectType[fieldDefinition[keys.link]] ?
-      inflection.transform(fieldDefinition[keys.link], typeInflections[1]) :
-      fieldDefinition[keys.link]
+    const linkedType = formatType.call(this, fieldDefinition[keys.link])
 
     clone[reservedKeys.relationships][field] = {
       [reservedKeys.links]: {
         [reservedKeys.self]: prefix + uriTemplate.fillFromObject({
-          type: inflectType[type] ?
-            inflection.transform(type, typeInflections[1]) : type,
+          type: formatType.call(this, type),
           ids: id,
           relatedField: reservedKeys.relationships,
-          relationship: inflectKeys ? inflection.transform(field,
-            [ 'underscore', 'dasherize' ]) : field
+          relationship: field
         }),
         [reservedKeys.related]: prefix + uriTemplate.fillFromObject({
-          type: inflectType[type] ?
-            inflection.transform(type, typeInflections[1]) : type,
+          type: formatType.call(this, type),
           ids: id,
-          relatedField: inflectKeys ? inflection.transform(field,
-            [ 'underscore', 'dasherize' ]) : field
+          relatedField: field
         })
       }
     }
 
-    if (hasField)
+    // Linkage beyond the limit is omitted, and may be paginated from the
+    // relationship instead.
+    if (hasField && fieldDefinition[keys.isArray] &&
+      maxLinkage !== null && ids.length > maxLinkage)
+      clone[reservedKeys.relationships][field][reservedKeys.meta] = {
+        count: ids.length
+      }
+    else if (hasField)
       clone[reservedKeys.relationships][field][reservedKeys.primary] =
         fieldDefinition[keys.isArray] ?
           ids.map(toIdentifier.bind(null, linkedType)) :
@@ -282,179 +398,1124 @@ function toIdentifier (type, id) {
 }
 
 
-function attachQueries (request) {
+function attachQueries (request, type, isCollection) {
   const recordTypes = this.recordTypes
-  const keys = this.keys
-  const castValue = this.castValue
-  const BadRequestError = this.errors.BadRequestError
   const options = this.options
-  const inflectKeys = options.inflectKeys
-  const inflectType = options.inflectType
-  const includeLimit = options.includeLimit
+  const includePaths = options.includePaths[type] || {}
+  const includeLimit = includePaths.limit || options.includeLimit
   const maxLimit = options.maxLimit
-  const type = request.type
+  const pagination = options.pagination
+  const queryParameters = options.queryParameters
+  const keys = this.keys
+  const BadRequestError = this.errors.BadRequestError
+  const features = this.adapter.features || {}
   const fields = recordTypes[type]
+  const inflect = x => parseKey.call(this, x)
   const reduceFields = (fields, field) => {
     fields[inflect(field)] = true
     return fields
   }
-  const castMap = (type, options, x) => castValue(x, type, options)
+  const collector = collectErrors.call(this)
+  const check = collector.check
 
   let query = request.uriObject.query
   if (!query) query = {}
   request.options = {}
+  request.fieldsets = {}
 
   // Iterate over dynamic query strings.
-  for (const parameter of Object.keys(query))
+  for (const parameter of Object.keys(query)) check(() => {
     // Attach fields option.
     if (parameter.match(isField)) {
       const sparseField = Array.isArray(query[parameter]) ?
         query[parameter] : query[parameter].split(',')
       const fields = sparseField.reduce(reduceFields, {})
-      let sparseType = (parameter.match(inBrackets) || [])[1]
+      const typeName = (parameter.match(inBrackets) || [])[1]
+      const sparseType = typeName ? parseType.call(this, typeName) : typeName
 
-      if (inflectType[type])
-        sparseType = checkLowerCase(
-          inflection.transform(sparseType, typeInflections[0]),
-          recordTypes
-        )
+      if (!recordTypes.hasOwnProperty(sparseType))
+        throw describeError(new BadRequestError(
+          `The type "${typeName}" does not exist.`),
+        'invalid-type', { parameter })
+
+      const invalidFields = Object.keys(fields).filter(field => field &&
+        field !== keys.primary && !(field in recordTypes[sparseType]))
+
+      if (invalidFields.length)
+        throw describeError(new BadRequestError('The fields ' +
+          `${invalidFields.map(field => `"${field}"`).join(', ')} ` +
+          `do not exist on the type "${sparseType}".`),
+        'invalid-field', { parameter })
+
+      // Fields of every type are omitted from the output, but only the
+      // primary type may have its fields omitted by the adapter.
+      request.fieldsets[sparseType] = fields
 
       if (sparseType === type)
-        request.options.fields = fields
+        request.options.fields = Object.assign({}, fields)
     }
 
     // Attach match option.
     else if (parameter.match(isFilter)) {
-      const matches = parameter.match(inBrackets)
-      if (!matches) continue
-      const field = inflect(matches[1])
-      const filterType = matches[2]
-
-      if (isRelationFilter(field)) {
-        const relationPath = field
-        if (filterType !== 'fuzzy-match')
-          throw new BadRequestError(
-            `Filtering relationship only
-            supported on fuzzy-match for now
-          `)
-
-        const isValidPath =
-              isValidRelationPath( recordTypes,
-                                   fields,
-                                   getRelationFilterSegments(field) )
-        if (! isValidPath )
-          throw new BadRequestError(`Path ${relationPath} is not valid`)
-      }
-
-      else if (!(field in fields))
-        throw new BadRequestError(`The field "${field}" is non-existent.`)
-
-      const filterSegments = getRelationFilterSegments(field)
-      const fieldType = getLastTypeInPath( recordTypes,
-                                           fields, filterSegments )[keys.type]
+      const segments = (parameter.match(allBrackets) || [])
+        .map(segment => segment.slice(1, -1))
+      if (!segments.length) return
+      attachFilterGroup.call(this, request, request.options, type, parameter,
+        segments, query[parameter])
+    }
 
-      if (filterType === void 0) {
-        if (!('match' in request.options)) request.options.match = {}
-        const value = Array.isArray(query[parameter]) ?
-          query[parameter] : query[parameter].split(',')
-        request.options.match[field] =
-          value.map(castMap.bind(null, fieldType, options))
-      }
-      else if (filterType === 'exists') {
-        if (!('exists' in request.options)) request.options.exists = {}
-        request.options.exists[field] = bool(query[parameter])
-      }
-      else if (filterType === 'min' || filterType === 'max') {
-        if (!('range' in request.options)) request.options.range = {}
-        if (!(field in request.options.range))
-          request.options.range[field] = [null, null]
-        const index = filterType === 'min' ? 0 : 1
-        request.options.range[field][index] =
-          castValue(query[parameter], fieldType, options)
-      }
-      else if (filterType === 'fuzzy-match') {
-        const lastTypeInPath =
-              getLastTypeInPath( recordTypes,
-                                 fields,
-                                 getRelationFilterSegments(field) )
-        if ( ! lastTypeInPath[keys.type] )
-          throw new BadRequestError(
-            `fuzzy-match only allowed on attributes. For ${field}` )
-
-
-        if ( lastTypeInPath[keys.type].name !== 'String')
-          throw new BadRequestError(
-            `fuzzy-match only allowed on String types.
-             ${field} is of type ${lastTypeInPath[keys.type].name}
-          ` )
-
-
-        if (!('fuzzyMatch' in request.options))
-          request.options['fuzzyMatch'] = {}
-        request.options.fuzzyMatch[field] = query[parameter]
-      }
-      else throw new BadRequestError(
-        `The filter "${filterType}" is not valid.`)
+    // Attach implementation-specific parameters, or reject parameters
+    // which may only be defined by the spec.
+    else {
+      const family = parameter.split('[')[0]
+
+      if (queryParameters.hasOwnProperty(family))
+        queryParameters[family](request.options, parameter, query[parameter])
+      else if (isReservedFamily.test(family) &&
+        !~reservedFamilies.indexOf(family))
+        throw describeError(new BadRequestError(
+          `The query parameter "${parameter}" is not recognized.`),
+        'invalid-parameter', { parameter })
     }
+  })
 
 
-  // Attach include option.
+  // Attach include option, or the default include paths of the type.
   if (reservedKeys.include in query) {
     request.include = (Array.isArray(query[reservedKeys.include]) ?
       query[reservedKeys.include] :
       query[reservedKeys.include].split(','))
-      .map(i => i.split('.').map(x => inflect(x)).slice(0, includeLimit))
+      .filter(i => i).map(i => i.split('.').map(x => inflect(x)))
+
+    // Every field in the path must be a link, within the limit of depth,
+    // and the path must be allowed for the type.
+    const invalidPaths = fields ? request.include.filter(path =>
+      path.length > includeLimit || !path.reduce((type, field) => {
+        const fieldDefinition = type ? recordTypes[type][field] : null
+        return fieldDefinition && fieldDefinition[keys.link]
+      }, type) || (includePaths.allow && !includePaths.allow.some(allowed =>
+        `${allowed}.`.indexOf(`${path.join('.')}.`) === 0))) : []
+
+    if (invalidPaths.length) check(() => {
+      throw describeError(new BadRequestError('The include paths ' +
+        `${invalidPaths.map(path => `"${path.join('.')}"`).join(', ')} ` +
+        `are not allowed, they must be links at most ${includeLimit} deep.`),
+      'invalid-include', { parameter: reservedKeys.include })
+    })
+  }
+  else if (includePaths.default)
+    request.include = includePaths.default.map(path => path.split('.'))
 
-    // Manually expand nested includes.
+  // Manually expand nested includes.
+  if (request.include)
     for (const path of request.include)
       for (let i = path.length - 1; i > 0; i--) {
         const j = path.slice(0, i)
         if (!request.include.some(deepEqual.bind(null, j)))
           request.include.push(j)
       }
-  }
 
   // Attach sort option.
-  if (reservedKeys.sort in query)
+  if (reservedKeys.sort in query) {
     request.options.sort = (Array.isArray(query.sort) ?
       query.sort : query.sort.split(','))
       .reduce((sort, field) => {
-        if (field.charAt(0) === '-') sort[inflect(field.slice(1))] = false
-        else sort[inflect(field)] = true
+        if (field.charAt(0) === '-') sort[inflectPath(field.slice(1))] = false
+        else sort[inflectPath(field)] = true
         return sort
       }, {})
 
+    // Sorting by relationship paths depends on the adapter.
+    const paths = Object.keys(request.options.sort)
+      .filter(field => ~field.indexOf('.'))
+
+    const invalidFields = fields ? Object.keys(request.options.sort)
+      .filter(field => !~field.indexOf('.') &&
+        field !== keys.primary && !(field in fields)) : []
+
+    if (invalidFields.length) check(() => {
+      throw describeError(new BadRequestError('The sort fields ' +
+        `${invalidFields.map(field => `"${field}"`).join(', ')} ` +
+        'do not exist.'), 'invalid-field', { parameter: reservedKeys.sort })
+    })
+
+    if (fields && paths.length) check(() => {
+      const invalidPaths = paths.filter(path =>
+        !isValidRelationPath(recordTypes, fields, path.split('.')))
+
+      if (invalidPaths.length)
+        throw describeError(new BadRequestError('The sort paths ' +
+          `${invalidPaths.map(path => `"${path}"`).join(', ')} are invalid.`),
+        'invalid-path', { parameter: reservedKeys.sort })
+
+      if (!features.relationshipSort || pagination === 'cursor')
+        throw describeError(new BadRequestError('Sorting by the paths ' +
+          `${paths.map(path => `"${path}"`).join(', ')} is not supported.`),
+        'invalid-sort', { parameter: reservedKeys.sort })
+    })
+  }
+
   // Attach offset option.
-  if (pageOffset in query)
+  if (pagination === 'offset' && pageOffset in query)
     request.options.offset = Math.abs(parseInt(query[pageOffset], 10))
 
   // Attach limit option.
-  if (pageLimit in query)
-    request.options.limit = Math.abs(parseInt(query[pageLimit], 10))
+  const limitParameter = pagination === 'offset' ? pageLimit : pageSize
+  if (limitParameter in query)
+    request.options.limit = Math.abs(parseInt(query[limitParameter], 10))
 
   // Check limit option.
   const limit = request.options.limit
   if (!limit || limit > maxLimit) request.options.limit = maxLimit
 
-  // Internal function to inflect field names.
-  function inflect (x) {
-    return inflectKeys ? inflection.camelize(underscore(x), true) : x
+  // Page numbers start from 1, and depend on the limit.
+  if (pagination === 'number' && pageNumber in query)
+    request.options.offset = request.options.limit *
+      ((Math.abs(parseInt(query[pageNumber], 10)) || 1) - 1)
+
+  // The version field is needed to compute entity tags.
+  if (options.etag && options.versionField && request.options.fields)
+    request.options.fields[options.versionField] = true
+
+  if (pagination === 'cursor')
+    check(() => attachCursor.call(this, request, type))
+  else check(() => {
+    const value = query[pageCount]
+
+    if (value !== void 0 && value !== 'true' && value !== 'false')
+      throw describeError(new BadRequestError(
+        `The parameter "${pageCount}" must be either "true" or "false".`),
+      'invalid-page', { parameter: pageCount })
+
+    if (!isCollection || (value === void 0 ?
+      options.showCount : value === 'true')) return
+
+    // Adapters may skip counting, and one more record is fetched to check if
+    // there is a next page.
+    request.skipCount = true
+    request.options.count = false
+    request.options.limit++
+  })
+
+  if (request.hasPayload) request.queryErrors = collector.errors
+  else collector.done()
+
+  // Internal function to inflect each field in a path.
+  function inflectPath (x) {
+    return x.split('.').map(inflect).join('.')
+  }
+}
+
+
+/**
+ * Internal function to attach a filter which may be grouped using the
+ * logical operators "or" and "not", such as `filter[or][0][name]`, to the
+ * given find options. The index of an "or" group only identifies it.
+ */
+function attachFilterGroup (request, target, type, parameter, segments,
+  value) {
+  const BadRequestError = this.errors.BadRequestError
+  const features = this.adapter.features || {}
+  const fields = this.recordTypes[type]
+  const operator = segments[0]
+
+  if ((operator === 'or' || operator === 'not') && !(operator in fields)) {
+    // The feature flag is taken to cover "not" as well.
+    if (!features.logicalOperators)
+      throw describeError(new BadRequestError(
+        `The logical operator "${operator}" is not supported.`),
+      'invalid-filter', { parameter })
+
+    if (operator === 'not') {
+      if (!('not' in target)) target.not = {}
+      attachFilterGroup.call(this, request, target.not, type, parameter,
+        segments.slice(1), value)
+      return
+    }
+
+    const index = segments[1]
+
+    if (!/^\d+$/.test(index))
+      throw describeError(new BadRequestError(
+        `The index of the "${operator}" group is invalid.`),
+      'invalid-filter', { parameter })
+
+    if (!('or' in target)) target.or = []
+
+    let group = target.or.find(group => groupIndexes.get(group) === index)
+
+    if (!group) {
+      group = {}
+      groupIndexes.set(group, index)
+      target.or.push(group)
+    }
+
+    attachFilterGroup.call(this, request, group, type, parameter,
+      segments.slice(2), value)
+    return
   }
+
+  if (!segments.length || segments.length > 2)
+    throw describeError(new BadRequestError(
+      `The filter "${parameter}" is invalid.`),
+    'invalid-filter', { parameter })
+
+  attachFilter.call(this, request, target, type, parameter,
+    segments[0], segments[1], value)
 }
 
 
-function mapId (relatedType, link) {
+/**
+ * Internal function to attach a filter to the given find options. If the
+ * field is a path of relationships separated by dots, the filter is applied
+ * to the related records, which are resolved later.
+ */
+function attachFilter (request, target, type, parameter, path, filterType,
+  value) {
+  const recordTypes = this.recordTypes
+  const keys = this.keys
+  const castValue = this.castValue
+  const BadRequestError = this.errors.BadRequestError
+  const options = this.options
+  const filterOperators = options.filterOperators
+  const features = this.adapter.features || {}
+  const fields = recordTypes[type]
+  // Fortune only defines the feature flag for "and" and "or", so adapters
+  // which declare it are expected to support "not" as well.
+  const addClause = clause => {
+    if (!features.logicalOperators)
+      throw describeError(new BadRequestError(
+        `The filter "${filterType}" is not supported.`),
+      'invalid-filter', { parameter })
+
+    if (!('and' in target)) target.and = []
+    target.and.push(clause)
+  }
+  const castParameter = (type, x) => {
+    try {
+      return castValue(x, type, options)
+    }
+    catch (error) {
+      throw describeError(error instanceof BadRequestError ? error :
+        new BadRequestError(error.message), 'invalid-value', { parameter })
+    }
+  }
+  const segments = path.split('.').map(x =>
+    parseKey.call(this, x))
+  const field = segments.join('.')
+
+  if (segments.length > 1) {
+    if (!isValidRelationPath(recordTypes, fields, segments))
+      throw describeError(
+        new BadRequestError(`Path ${path} is not valid`),
+        'invalid-path', { parameter })
+
+    const links = segments.slice(0, -1)
+    const relatedType = links.reduce((type, field) =>
+      recordTypes[type][field][keys.link], type)
+    let pathFilter = (request.pathFilters || []).find(pathFilter =>
+      pathFilter.target === target && deepEqual(pathFilter.path, links))
+
+    if (!pathFilter) {
+      pathFilter = { target, type, path: links, options: {} }
+      if (!request.pathFilters) request.pathFilters = []
+      request.pathFilters.push(pathFilter)
+    }
+
+    attachFilter.call(this, request, pathFilter.options, relatedType,
+      parameter, segments[segments.length - 1], filterType, value)
+    return
+  }
+
+  if (isRelationFilter(field)) {
+    const relationPath = field
+    if (filterType !== 'fuzzy-match')
+      throw describeError(new BadRequestError(
+        `Filtering relationship only
+        supported on fuzzy-match for now
+      `), 'invalid-filter', { parameter })
+
+    const isValidPath =
+          isValidRelationPath( recordTypes,
+                               fields,
+                               getRelationFilterSegments(field) )
+    if (! isValidPath )
+      throw describeError(
+        new BadRequestError(`Path ${relationPath} is not valid`),
+        'invalid-path', { parameter })
+  }
+
+  else if (!(field in fields))
+    throw describeError(
+      new BadRequestError(`The field "${field}" is non-existent.`),
+      'invalid-field', { parameter })
+
+  const filterSegments = getRelationFilterSegments(field)
+  const fieldDefinition = getLastTypeInPath( recordTypes,
+                                             fields, filterSegments )
+  const fieldType = fieldDefinition[keys.type]
+  const castList = () => (Array.isArray(value) ? value : value.split(','))
+    .map(castParameter.bind(null, fieldType))
+
+  if (filterType === void 0 || filterType === 'in') {
+    if (!('match' in target)) target.match = {}
+    target.match[field] = castList()
+  }
+  else if (filterType === 'exists') {
+    if (!('exists' in target)) target.exists = {}
+    target.exists[field] = bool(value)
+  }
+  else if (filterType === 'min' || filterType === 'max') {
+    if (!('range' in target)) target.range = {}
+    if (!(field in target.range))
+      target.range[field] = [null, null]
+    const index = filterType === 'min' ? 0 : 1
+    target.range[field][index] = castParameter(fieldType, value)
+  }
+  else if (filterType === 'fuzzy-match') {
+    const lastTypeInPath =
+          getLastTypeInPath( recordTypes,
+                             fields,
+                             getRelationFilterSegments(field) )
+    if ( ! lastTypeInPath[keys.type] )
+      throw describeError(new BadRequestError(
+        `fuzzy-match only allowed on attributes. For ${field}` ),
+      'invalid-filter', { parameter })
+
+
+    if ( lastTypeInPath[keys.type].name !== 'String')
+      throw describeError(new BadRequestError(
+        `fuzzy-match only allowed on String types.
+         ${field} is of type ${lastTypeInPath[keys.type].name}
+      ` ), 'invalid-filter', { parameter })
+
+
+    if (!('fuzzyMatch' in target))
+      target['fuzzyMatch'] = {}
+    target.fuzzyMatch[field] = value
+  }
+  else if (filterType === 'ne' || filterType === 'nin')
+    addClause({ not: { match: { [field]: castList() } } })
+  else if (filterType === 'lt' || filterType === 'gt') {
+    // Ranges are inclusive, so the value itself must be excluded.
+    const bound = castParameter(fieldType, value)
+    addClause({
+      range: {
+        [field]: filterType === 'gt' ? [ bound, null ] : [ null, bound ]
+      },
+      not: { match: { [field]: bound } }
+    })
+  }
+  // Only arrays may be matched by containment natively.
+  else if (filterType === 'contains' && fieldDefinition[keys.isArray]) {
+    if (!('match' in target)) target.match = {}
+    target.match[field] = castParameter(fieldType, value)
+  }
+  else if (filterOperators.hasOwnProperty(filterType))
+    filterOperators[filterType](target, field,
+      castParameter(fieldType, value))
+  else throw describeError(new BadRequestError(
+    `The filter "${filterType}" is not valid.`),
+  'invalid-filter', { parameter })
+}
+
+
+/**
+ * Internal function to resolve the filters on relationship paths, since
+ * adapters may only filter on the fields of one type. The related records
+ * which match are found from the end of the path, and the filter becomes a
+ * match on the IDs of the first relationship.
+ */
+function resolvePathFilters (request) {
+  const adapter = this.adapter
+  const keys = this.keys
+  const recordTypes = this.recordTypes
+  const meta = request.meta
+
+  return Promise.all((request.pathFilters || []).map(pathFilter => {
+    const path = pathFilter.path
+    const types = path.reduce((types, field, index) => {
+      types.push(recordTypes[types[index]][field][keys.link])
+      return types
+    }, [ pathFilter.type ])
+    const find = (index, options) => adapter.find(types[index], null,
+      Object.assign({ fields: { [keys.primary]: true } }, options), meta)
+      .then(records => records.map(record => record[keys.primary]))
+
+    return path.slice(1).reduceRight((promise, field, index) =>
+      promise.then(ids => find(index + 1, { match: { [field]: ids } })),
+    find(path.length, pathFilter.options))
+    .then(ids => {
+      const target = pathFilter.target
+      const field = path[0]
+
+      if (!('match' in target)) target.match = {}
+
+      // Both the IDs and the related records must match.
+      target.match[field] = field in target.match ?
+        ids.filter(id => target.match[field].some(value =>
+          String(value) === String(id))) : ids
+    })
+  }))
+}
+
+
+/**
+ * Internal function to translate cursors into find options. A cursor keeps
+ * the values of the sort fields, and the position of its record among the
+ * records which tie on them, counted either from the first or the last one.
+ * This assumes that the adapter returns ties in a stable order, sorts null
+ * values last and counts the records which match regardless of the limit.
+ */
+function attachCursor (request, type) {
+  const keys = this.keys
+  const castValue = this.castValue
+  const BadRequestError = this.errors.BadRequestError
+  const options = this.options
+  const fields = this.recordTypes[type]
+  const query = request.uriObject.query || {}
+  const sort = request.options.sort || {}
+  const isBefore = pageBefore in query
+
+  if (isBefore && pageAfter in query)
+    throw describeError(new BadRequestError('The parameters ' +
+      `"${pageAfter}" and "${pageBefore}" can not be used together.`),
+    'invalid-page', { parameter: pageBefore })
+
+  // Ties are told apart by their position instead, since sorting on the
+  // primary key is not generally supported.
+  delete sort[keys.primary]
+
+  const sortFields = Object.keys(sort)
+  const parameter = isBefore ? pageBefore : pageAfter
+  const token = query[parameter]
+  const invalidCursor = () => describeError(
+    new BadRequestError(`The cursor "${token}" is invalid.`),
+    'invalid-cursor', { parameter })
+
+  request.cursor = {
+    fields: sortFields,
+    size: request.options.limit,
+    token, isBefore
+  }
+
+  // The sort fields are needed to generate cursors.
+  if (request.options.fields)
+    for (const field of sortFields) request.options.fields[field] = true
+
+  // Fetch one more record to check if there are more results.
+  request.options.limit++
+
+  // Paging backwards from the end, every record is counted.
+  if (isBefore && !token) Object.assign(request.cursor, {
+    position: -1, isFromEnd: true, countClause: {}
+  })
+
+  if (!token) return
+
+  let parsed
+
+  try {
+    parsed = JSON.parse(Buffer.from(token, 'base64').toString())
+  }
+  catch (error) {
+    parsed = null
+  }
+
+  if (!Array.isArray(parsed) || parsed.length !== 3 ||
+    !Array.isArray(parsed[0]) || parsed[0].length !== sortFields.length ||
+    !Number.isInteger(parsed[1]) || parsed[1] < 0 ||
+    typeof parsed[2] !== 'boolean')
+    throw invalidCursor()
+
+  let values
+
+  try {
+    values = parsed[0].map((value, index) => value === null ? null :
+      castValue(value, fields[sortFields[index]][keys.type], options))
+  }
+  catch (error) {
+    throw invalidCursor()
+  }
+
+  Object.assign(request.cursor, {
+    values, position: parsed[1], isFromEnd: parsed[2]
+  })
+
+  // Null values can not be matched, and adapters may take other false
+  // values to be missing as well, so those are ruled out.
+  const isNull = field => {
+    const type = fields[field][keys.type]
+    const value = type === Number ? 0 : type === String ? '' :
+      type === Boolean ? false : null
+
+    return value === null ? { exists: { [field]: false } } :
+      { exists: { [field]: false }, not: { match: { [field]: value } } }
+  }
+  const isEqual = (field, index) => values[index] === null ?
+    isNull(field) : { match: { [field]: values[index] } }
+
+  // Records which tie with the cursor, and those strictly before or beyond
+  // it in the order of the sort fields, each expressed as a logical "or" of
+  // the cases. Null values are sorted last in either direction.
+  const ties = { and: sortFields.map(isEqual) }
+  const before = []
+  const beyond = []
+
+  sortFields.forEach((field, index) => {
+    const value = values[index]
+    const preceding = sortFields.slice(0, index).map(isEqual)
+    const isAscending = sort[field]
+
+    if (value === null) {
+      before.push({ and: preceding.concat({ not: isNull(field) }) })
+      return
+    }
+
+    const not = { match: { [field]: value } }
+
+    before.push({ and: preceding.concat({
+      range: { [field]: isAscending ? [ null, value ] : [ value, null ] }, not
+    }) })
+    beyond.push({ and: preceding.concat({ or: [ {
+      range: { [field]: isAscending ? [ value, null ] : [ null, value ] }, not
+    }, isNull(field) ] }) })
+  })
+
+  // Paging forwards from the first of the ties, the ties are skipped up to
+  // the cursor. Otherwise, the position of the cursor must be counted.
+  const clause = isBefore ? { or: before.concat(ties) } :
+    { or: [ ties ].concat(beyond) }
+
+  if (isBefore)
+    request.cursor.countClause = request.cursor.isFromEnd ?
+      clause : { or: before }
+  else if (request.cursor.isFromEnd) request.cursor.countClause = ties
+  else request.options.offset = request.cursor.position + 1
+
+  request.cursor.clause = clause
+  if (!('and' in request.options)) request.options.and = []
+  request.options.and.push(clause)
+}
+
+
+/**
+ * Internal function to count the records up to a cursor, which sets the
+ * offset and limit of the request. Paging backwards, the records before the
+ * cursor are fetched in the order of the sort fields, so that ties stay in
+ * the same order.
+ */
+function positionCursor (request) {
+  const adapter = this.adapter
+  const keys = this.keys
+  const cursor = request.cursor
+  const size = cursor.size
+  const options = Object.assign({}, request.options, {
+    and: (request.options.and || [])
+    .filter(clause => clause !== cursor.clause).concat(cursor.countClause),
+    fields: { [keys.primary]: true },
+    limit: 1
+  })
+
+  delete options.sort
+  delete options.offset
+
+  return adapter.find(request.type, request.ids, options, request.meta)
+  .then(records => {
+    const count = records.count
+
+    // Count from the first of the ties, when paging forwards.
+    if (!cursor.isBefore) {
+      request.options.offset = Math.max(count - cursor.position, 0)
+      cursor.position = request.options.offset - 1
+      cursor.isFromEnd = false
+      return
+    }
+
+    const position = Math.max(cursor.isFromEnd ?
+      count - cursor.position - 1 : count + cursor.position, 0)
+
+    cursor.length = Math.min(position, size)
+    cursor.hasMore = position > size
+    request.options.offset = position - cursor.length
+    request.options.limit = cursor.length || 1
+  })
+}
+
+
+/**
+ * Encode the cursors of a page of records, given in the order of the sort
+ * fields. Besides the values of the sort fields, each cursor keeps the
+ * position of its record among those which tie with it, counted from
+ * whichever end is known. Cursors are meant to be opaque to the client.
+ *
+ * @param {Object} cursor
+ * @param {Object[]} records
+ * @return {String[]}
+ */
+function encodeCursors (cursor, records) {
+  const bufferEncoding = this.options.bufferEncoding
+  const toValues = values => values.map(value =>
+    Buffer.isBuffer(value) ? value.toString(bufferEncoding) :
+    value === void 0 ? null : value)
+  const keys = records.map(record => JSON.stringify(
+    toValues(cursor.fields.map(field => record[field]))))
+  const tokenKey = cursor.token ?
+    JSON.stringify(toValues(cursor.values)) : null
+
+  return records.map((record, index) => {
+    const key = keys[index]
+    const previous = keys.slice(0, index).filter(x => x === key).length
+    const next = keys.slice(index + 1).filter(x => x === key).length
+    let position
+    let isFromEnd
+
+    // Ties with the cursor follow on from its position.
+    if (key === tokenKey) {
+      isFromEnd = cursor.isFromEnd
+      position = cursor.isBefore ?
+        cursor.position + (isFromEnd ? next + 1 : -next - 1) :
+        cursor.position + previous + 1
+    }
+
+    // Paging backwards, other ties may begin before the page but end within
+    // it, and paging forwards, the reverse.
+    else {
+      isFromEnd = cursor.isBefore
+      position = isFromEnd ? next : previous
+    }
+
+    return Buffer.from(JSON.stringify([
+      JSON.parse(key), position, isFromEnd
+    ])).toString('base64')
+    .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_')
+  })
+}
+
+
+function mapId (relatedType, link, pointer) {
+  const BadRequestError = this.errors.BadRequestError
   const ConflictError = this.errors.ConflictError
 
+  if (!link || typeof link !== 'object')
+    throw describeError(new BadRequestError(
+      'The resource identifier object is invalid.'), 'invalid-data',
+    pointer ? { pointer } : null)
+
   if (link[reservedKeys.type] !== relatedType)
-    throw new ConflictError('Data object field ' +
+    throw describeError(new ConflictError('Data object field ' +
       `"${reservedKeys.type}" is invalid, it must be ` +
-      `"${relatedType}", not "${link[reservedKeys.type]}".`)
+      `"${relatedType}", not "${link[reservedKeys.type]}".`),
+    'incorrect-type', pointer ?
+      { pointer: `${pointer}/${reservedKeys.type}` } : null)
 
   return castId.call(this, link[reservedKeys.id])
 }
 
 
+/**
+ * Internal function to cast the value of an attribute from a payload. The
+ * pointer is the location of the attribute in the document.
+ */
+function castAttribute (fields, field, value, pointer) {
+  const BadRequestError = this.errors.BadRequestError
+  const castValue = this.castValue
+  const keys = this.keys
+  const options = this.options
+  const fieldDefinition = fields[field]
+
+  // Unknown fields are ignored, unless every problem is reported.
+  if (fieldDefinition ? keys.link in fieldDefinition : options.collectErrors)
+    throw describeError(new BadRequestError(
+      `The field "${field}" is not an attribute.`),
+    'invalid-field', { pointer })
+
+  const fieldType = (fieldDefinition || {})[keys.type]
+  const isArray = Boolean((fieldDefinition || {})[keys.isArray])
+
+  // Fortune would reject it too, but without pointing to the value.
+  if (fieldDefinition && value !== null && Array.isArray(value) !== isArray)
+    throw describeError(new BadRequestError(`The value of "${field}" must ` +
+      `${isArray ? '' : 'not '}be an array.`), 'invalid-value', { pointer })
+
+  try {
+    return Array.isArray(value) ?
+      value.map(x => castValue(x, fieldType, options)) :
+      castValue(value, fieldType, options)
+  }
+  catch (error) {
+    throw describeError(error instanceof BadRequestError ? error :
+      new BadRequestError(error.message), 'invalid-value', { pointer })
+  }
+}
+
+
+/**
+ * Internal function to map a relationship object from a payload to IDs.
+ * The pointer is the location of the relationship in the document.
+ */
+function mapRelationship (fields, field, value, pointer) {
+  const BadRequestError = this.errors.BadRequestError
+  const keys = this.keys
+  const fieldDefinition = fields[field]
+
+  if (!fieldDefinition || !(keys.link in fieldDefinition))
+    throw describeError(new BadRequestError(
+      `The field "${field}" is not a relationship.`),
+    'invalid-field', { pointer })
+
+  if (!value || typeof value !== 'object' || !(reservedKeys.primary in value))
+    throw describeError(new BadRequestError(
+      `The "${reservedKeys.primary}" field is missing.`),
+    'missing-data', { pointer })
+
+  const linkKey = fieldDefinition[keys.link]
+  const relatedType = formatType.call(this, linkKey)
+  const data = value[reservedKeys.primary]
+  const dataPointer = `${pointer}/${reservedKeys.primary}`
+
+  if (!data) return null
+
+  const ids = Array.isArray(data) ?
+    data.map((link, index) =>
+      mapId.call(this, relatedType, link, `${dataPointer}/${index}`)) :
+    [ mapId.call(this, relatedType, data, dataPointer) ]
+
+  return fieldDefinition[keys.isArray] ? ids : ids[0]
+}
+
+
+/**
+ * Internal function to show the count and pagination links of a collection,
+ * given a function which returns the URL of the collection for a query. It
+ * returns the records of the page, without the extra record which may have
+ * been fetched.
+ */
+function paginateRecords (output, request, records, locate) {
+  const options = this.options
+  const cursor = request.cursor
+  const skipCount = request.skipCount
+  const count = records.count
+  const query = request.uriObject.query
+  const limit = skipCount ? request.options.limit - 1 : request.options.limit
+  const hasMore = skipCount && records.length > limit
+  const offset = request.options.offset
+  const isNumbered = options.pagination === 'number'
+
+  // The count is not meaningful when paging by cursor.
+  if (!cursor && !skipCount) {
+    output[reservedKeys.meta] = Object.assign({},
+      output[reservedKeys.meta], { count })
+    if (isNumbered)
+      output[reservedKeys.meta].totalPages = Math.ceil(count / limit)
+  }
+
+  // Remove the extra record which was fetched.
+  if (skipCount) records = records.slice(0, limit)
+
+  output[reservedKeys.links] = Object.assign({},
+    output[reservedKeys.links], { [reservedKeys.self]: locate(query) })
+
+  // Set top-level pagination links.
+  if (cursor) {
+    const token = cursor.token
+    const size = cursor.isBefore ? cursor.length : cursor.size
+    const hasMore = cursor.isBefore ? cursor.hasMore : records.length > size
+    let queryLength = 0
+
+    // Remove the extra record which was fetched.
+    records = records.slice(0, size)
+
+    // The cursors depend on the whole page, so they are kept with it.
+    const cursors = encodeCursors.call(this, cursor, records)
+    Object.defineProperty(records, 'cursors', { value: cursors })
+
+    if (query) {
+      delete query[pageAfter]
+      delete query[pageBefore]
+      queryLength = Object.keys(query).length
+    }
+
+    const paged = locate(query)
+    const first = records.length ? cursors[0] : token
+    const last = records.length ? cursors[cursors.length - 1] : token
+
+    Object.assign(output[reservedKeys.links], {
+      [reservedKeys.prev]: (cursor.isBefore ? hasMore : token) ?
+        `${paged}${queryLength ? '&' : '?'}${encodedBefore}=${first}` :
+        null,
+      [reservedKeys.next]: (cursor.isBefore ? token : hasMore) ?
+        `${paged}${queryLength ? '&' : '?'}${encodedAfter}=${last}` :
+        null
+    })
+  }
+  else if (skipCount ? hasMore || offset : count > limit) {
+    let queryLength = 0
+
+    if (query) {
+      delete query[pageOffset]
+      delete query[pageLimit]
+      delete query[pageNumber]
+      delete query[pageSize]
+      queryLength = Object.keys(query).length
+    }
+
+    const paged = locate(query) + (queryLength ? '&' : '?')
+
+    // Pages are expressed in terms of offsets, regardless of strategy.
+    const page = offset => paged + (isNumbered ?
+      `${encodedNumber}=${offset / limit + 1}&${encodedSize}=${limit}` :
+      `${encodedOffset}=${offset}&${encodedLimit}=${limit}`)
+
+    Object.assign(output[reservedKeys.links], {
+      [reservedKeys.first]: page(0)
+    },
+    skipCount ? null : {
+      [reservedKeys.last]: page(Math.floor((count - 1) / limit) * limit)
+    },
+    (skipCount ? hasMore : limit + (offset || 0) < count) ? {
+      [reservedKeys.next]:
+        page((Math.floor((offset || 0) / limit) + 1) * limit)
+    } : null,
+    (offset || 0) >= limit ? {
+      [reservedKeys.prev]:
+        page((Math.floor((offset || 0) / limit) - 1) * limit)
+    } : null)
+  }
+
+  return records
+}
+
+
+/**
+ * Internal function to limit the number of included records. The top-level
+ * meta object shows the count of included records before truncation, and
+ * which relationships refer to the omitted records, so that they may be
+ * fetched from the related links.
+ */
+function truncateIncluded (output) {
+  const included = output[reservedKeys.included]
+  const count = included.length
+  const toKey = identifier =>
+    `${identifier[reservedKeys.type]}/${identifier[reservedKeys.id]}`
+  const omitted = new Set(included.splice(this.options.maxIncluded)
+    .map(toKey))
+  const resources = [].concat(output[reservedKeys.primary] || [], included)
+  const truncated = []
+
+  for (const resource of resources) {
+    const relationships = resource[reservedKeys.relationships] || {}
+
+    for (const field of Object.keys(relationships)) {
+      const relationship = relationships[field]
+      const linkage = [].concat(relationship[reservedKeys.primary] || [])
+
+      if (!linkage.some(identifier => omitted.has(toKey(identifier))))
+        continue
+
+      truncated.push({
+        [reservedKeys.type]: resource[reservedKeys.type],
+        [reservedKeys.id]: resource[reservedKeys.id],
+        [reservedKeys.relationship]: field,
+        [reservedKeys.links]: {
+          [reservedKeys.related]:
+            relationship[reservedKeys.links][reservedKeys.related]
+        }
+      })
+    }
+  }
+
+  output[reservedKeys.meta] = Object.assign({}, output[reservedKeys.meta], {
+    [reservedKeys.included]: { count, truncated }
+  })
+}
+
+
+/**
+ * Internal function to run checks which may throw errors. If the
+ * `collectErrors` option is set, errors are thrown together once all of
+ * the checks are done, otherwise the first error is thrown immediately.
+ *
+ * @param {Error[]} [errors] - Errors which were collected earlier.
+ * @return {Object}
+ */
+function collectErrors (errors) {
+  const BadRequestError = this.errors.BadRequestError
+  const isCollecting = this.options.collectErrors
+  const list = (errors || []).slice()
+
+  // Only problems with the request are collected, not unexpected errors.
+  const isExpected = error => Object.keys(errorStatus)
+    .some(name => error instanceof this.errors[name])
+
+  return {
+    errors: list,
+
+    check (fn) {
+      try {
+        return fn()
+      }
+      catch (error) {
+        if (!isCollecting || !isExpected(error)) throw error
+        for (const item of error.errors || [ error ]) list.push(item)
+        return null
+      }
+    },
+
+    done () {
+      if (!list.length) return
+      if (list.length === 1) throw list[0]
+
+      // The most generally applicable type of error is used for the
+      // response, per the spec.
+      const isSame = list.every(error =>
+        error.constructor === list[0].constructor)
+      const error = new (isSame ? list[0].constructor : BadRequestError)(
+        `There are ${list.length} problems with the request.`)
+
+      Object.defineProperty(error, 'errors', { value: list })
+
+      throw error
+    }
+  }
+}
+
+
+/**
+ * Attach a machine-readable code to an error, and optionally its source,
+ * which is either a JSON pointer to the member of the document or the name
+ * of the query parameter which caused it.
+ *
+ * @param {Error} error
+ * @param {String} code
+ * @param {Object} [source]
+ * @return {Error}
+ */
+function describeError (error, code, source) {
+  error.code = code
+  if (source) error.source = source
+  return error
+}
+
+
+/**
+ * Internal function to check the "If-Match" header of a write against the
+ * entity tags of the current records, which are derived from the version
+ * field. It may also be required, depending on the options. The IDs are
+ * taken from the route, unless given.
+ */
+function checkPrecondition (contextRequest, request, response, ids) {
+  const adapter = this.adapter
+  const options = this.options
+  const versionField = options.versionField
+  const header = request.headers['if-match']
+
+  // Without a version field, there are no entity tags to compare against,
+  // so only a header which matches any tag can be satisfied.
+  if (!versionField) {
+    if (header && !header.split(',').some(tag => tag.trim() === '*'))
+      throw failPrecondition.call(this, response, 412,
+        'The "If-Match" header can not be verified.', 'failed-precondition',
+        { header: 'If-Match' })
+
+    return null
+  }
+
+  if (!header) {
+    if (options.requirePrecondition)
+      throw failPrecondition.call(this, response, 428,
+        'The "If-Match" header is required.', 'missing-precondition',
+        { header: 'If-Match' })
+
+    return null
+  }
+
+  // The records are found outside of the transaction of the write, so a
+  // concurrent write in between is not detected.
+  return adapter.find(contextRequest.type, ids || contextRequest.ids, {
+    fields: { [versionField]: true }
+  }, contextRequest.meta)
+  .then(records => {
+    if (!records.length || !records.every(record =>
+      matchETag(header, computeETag.call(this, null, null, [ record ]), true)))
+      throw failPrecondition.call(this, response, 412,
+        'The records have been modified.', 'failed-precondition',
+        { header: 'If-Match' })
+  })
+}
+
+
+/**
+ * Internal function to check the versions given in the `meta` object of
+ * resource objects against the version field of the current records.
+ */
+function checkVersions (contextRequest, response) {
+  const adapter = this.adapter
+  const keys = this.keys
+  const versionField = this.options.versionField
+  const versions = contextRequest.versions
+
+  return adapter.find(contextRequest.type, versions.map(entry => entry.id), {
+    fields: { [versionField]: true }
+  }, contextRequest.meta)
+  .then(records => {
+    const stale = versions.find(entry => !records.some(record =>
+      record[keys.primary] === entry.id &&
+      JSON.stringify(record[versionField]) ===
+      JSON.stringify(entry.version)))
+
+    if (stale)
+      throw failPrecondition.call(this, response, 412,
+        `The record "${stale.id}" has been modified.`, 'failed-precondition',
+        { pointer: stale.pointer })
+  })
+}
+
+
+/**
+ * Internal function to check the versions of the records which an atomic
+ * operation writes to. There is no "If-Match" header for each operation, so
+ * if a precondition is required, the versions must be given instead. The
+ * pointer is the location of the missing version in the operation.
+ */
+function checkOperation (contextRequest, response, pointer) {
+  const options = this.options
+
+  if (!options.versionField) return null
+
+  if (!contextRequest.versions.length) {
+    if (options.requirePrecondition)
+      throw failPrecondition.call(this, response, 428,
+        'The version of the record is required.', 'missing-precondition',
+        { pointer })
+
+    return null
+  }
+
+  return checkVersions.call(this, contextRequest, response)
+}
+
+
+/**
+ * Internal function to create an error for a failed precondition. There is
+ * no error class for its status, so it is set on the response directly, and
+ * the name of the error is set to match.
+ */
+function failPrecondition (response, status, message, code, source) {
+  const error = describeError(
+    new this.errors.BadRequestError(message), code, source)
+
+  Object.defineProperties(error, {
+    status: { value: status },
+    name: { value: status === 428 ?
+      'PreconditionRequiredError' : 'PreconditionFailedError' }
+  })
+  if (response) response.statusCode = status
+
+  return error
+}
+
+
 function matchId (object, id) {
   return id === castId.call(this, object[reservedKeys.id])
 }
@@ -486,11 +1547,132 @@ function parseBuffer (payload) {
     return JSON.parse(payload.toString())
   }
   catch (error) {
-    throw new BadRequestError(`Invalid JSON: ${error.message}`)
+    throw describeError(
+      new BadRequestError(`Invalid JSON: ${error.message}`), 'invalid-json')
+  }
+}
+
+
+/**
+ * Negotiate the extensions and profiles of the JSON API media type, per
+ * version 1.1 of the spec. Only the `ext` and `profile` parameters are
+ * allowed, and every extension must be supported. The extensions and
+ * profiles which apply to the response are returned.
+ *
+ * @param {Object} request
+ * @return {Object}
+ */
+function negotiateMediaType (request) {
+  const errors = this.errors
+  const NotAcceptableError = errors.NotAcceptableError
+  const UnsupportedError = errors.UnsupportedError
+  const supportedExtensions = this.extensions
+  const supportedProfiles = this.profiles
+  const contentType = request.headers['content-type']
+  const accept = request.headers['accept']
+  const extensions = new Set()
+  const profiles = new Set()
+
+  const split = value => value ? value.split(' ').filter(Boolean) : []
+  const hasOtherParameters = x => Object.keys(x.parameters)
+    .some(name => name !== 'ext' && name !== 'profile')
+  const isSupported = x => split(x.parameters.ext)
+    .every(uri => ~supportedExtensions.indexOf(uri))
+  const apply = x => {
+    for (const uri of split(x.parameters.ext)) extensions.add(uri)
+    for (const uri of split(x.parameters.profile))
+      if (~supportedProfiles.indexOf(uri)) profiles.add(uri)
+  }
+
+  if (contentType) {
+    const x = parseMediaTypes(contentType)[0]
+
+    if (x.type === mediaType) {
+      if (hasOtherParameters(x))
+        throw new UnsupportedError('The "Content-Type" header may only ' +
+          'contain the "ext" and "profile" media type parameters.')
+
+      if (!isSupported(x))
+        throw new UnsupportedError('The "Content-Type" header contains ' +
+          'an unsupported extension.')
+
+      apply(x)
+    }
+  }
+
+  if (accept) {
+    const accepted = parseMediaTypes(accept)
+      .filter(x => x.type === mediaType)
+    const candidates = accepted.filter(x => !hasOtherParameters(x))
+
+    if (accepted.length && !candidates.length)
+      throw new NotAcceptableError('The "Accept" header should contain ' +
+        'at least one instance of the JSON API media type without any ' +
+        'media type parameters other than "ext" and "profile".')
+
+    const x = candidates.find(isSupported)
+
+    if (candidates.length && !x)
+      throw new NotAcceptableError('The "Accept" header should contain ' +
+        'at least one instance of the JSON API media type without ' +
+        'unsupported extensions.')
+
+    if (x) apply(x)
+  }
+
+  return {
+    extensions: Array.from(extensions),
+    profiles: Array.from(profiles)
   }
 }
 
 
+/**
+ * Format the JSON API media type with the applied extensions and profiles.
+ *
+ * @param {String[]} [extensions]
+ * @param {String[]} [profiles]
+ * @return {String}
+ */
+function formatMediaType (extensions, profiles) {
+  let value = mediaType
+
+  if (extensions && extensions.length)
+    value += `; ext="${extensions.join(' ')}"`
+  if (profiles && profiles.length)
+    value += `; profile="${profiles.join(' ')}"`
+
+  return value
+}
+
+
+/**
+ * Parse a header containing media types, such as `Accept` or
+ * `Content-Type`, into a list of types and their parameters. The `q`
+ * parameter is not a media type parameter, so it is omitted.
+ *
+ * @param {String} header
+ * @return {Object[]}
+ */
+function parseMediaTypes (header) {
+  // Split on commas which are not within quotes.
+  return header.split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/).map(value => {
+    const parts = value.split(';')
+    const parameters = {}
+
+    for (const part of parts.slice(1)) {
+      const index = part.indexOf('=')
+      if (!~index) continue
+      const name = part.slice(0, index).trim().toLowerCase()
+      if (name === 'q') continue
+      parameters[name] = part.slice(index + 1).trim().replace(/^"|"$/g, '')
+    }
+
+    return { type: parts[0].trim().toLowerCase(), parameters }
+  })
+}
+
+
 function union () {
   const result = []
   const seen = {}
@@ -519,6 +1701,90 @@ function checkLowerCase (type, recordTypes) {
 }
 
 
+/**
+ * Resolve the key inflection strategy, which is either a Boolean to use the
+ * default kebab case, the name of a strategy, or an object with `encode`
+ * and `decode` functions. It returns `null` if keys are not inflected.
+ *
+ * @param {Boolean|String|Object} inflect setting from defaults or override
+ * @return {Object}
+ */
+function setInflectKeys (inflect) {
+  if (!inflect) return null
+  if (inflect === true) return keyInflections.kebab
+
+  if (typeof inflect === 'string') {
+    if (!keyInflections.hasOwnProperty(inflect))
+      throw new Error(`The key inflection "${inflect}" does not exist.`)
+
+    return keyInflections[inflect]
+  }
+
+  if (typeof inflect.encode !== 'function' ||
+    typeof inflect.decode !== 'function')
+    throw new Error('The key inflection must have "encode" and "decode" ' +
+      'functions.')
+
+  return inflect
+}
+
+
+/**
+ * Internal function to format a field name for output.
+ */
+function formatKey (field) {
+  const inflectKeys = this.options.inflectKeys
+  return inflectKeys ? inflectKeys.encode(field) : field
+}
+
+
+/**
+ * Internal function to parse a field name from input, which is the inverse
+ * of `formatKey`.
+ */
+function parseKey (key) {
+  const inflectKeys = this.options.inflectKeys
+  return inflectKeys ? inflectKeys.decode(key) : key
+}
+
+
+/**
+ * Internal function to format the external name of a type, which is either
+ * given in the `typeNames` option or inflected.
+ */
+function formatType (type) {
+  const options = this.options
+  const typeNames = options.typeNames
+
+  if (typeNames.hasOwnProperty(type)) return typeNames[type]
+
+  return options.inflectType[type] ?
+    inflection.transform(type, typeInflections[1]) : type
+}
+
+
+/**
+ * Internal function to parse the external name of a type, which is the
+ * inverse of `formatType`. It returns `null` for the inflected name of a type
+ * which has an explicit name.
+ */
+function parseType (name) {
+  const options = this.options
+  const typeNames = options.typeNames
+  const mappedType = Object.keys(typeNames)
+    .find(type => typeNames[type] === name)
+
+  if (mappedType) return mappedType
+
+  const type = options.inflectType[name] ? checkLowerCase(
+    inflection.transform(underscore(name), typeInflections[0]),
+    this.recordTypes) : name
+
+  // A type with an explicit name may only be referred to by that name.
+  return typeNames.hasOwnProperty(type) ? null : type
+}
+
+
 function bool (value) {
   if (typeof value === 'string')
     return /^(true|t|yes|y|1)$/i.test(value.trim())
@@ -610,3 +1876,50 @@ function isRelationFilter ( field ) {
 function getRelationFilterSegments ( field ) {
   return field.split(':')
 }
+
+
+/**
+ * Internal function to compute the entity tag of a response. It is derived
+ * from the serialized payload, or if there is a version field, from the
+ * versions of the records, which is cheaper and ignores changes to computed
+ * fields. The tag of an individual resource without a query or included
+ * resources only depends on its version, so that it may be used as a
+ * precondition.
+ */
+function computeETag (request, payload, records, include) {
+  const keys = this.keys
+  const options = this.options
+  const versionField = options.versionField
+  const toVersion = record => [ record[keys.primary], record[versionField] ]
+  const isResource = !request || (!request.meta.isCollection &&
+    !request.meta.uriObject.query && !Object.keys(include || {}).length)
+  const source = !versionField ? payload :
+    isResource ? JSON.stringify(records.map(toVersion)) :
+      JSON.stringify([
+        request.url, records.count, records.map(toVersion),
+        Object.keys(include || {}).sort().map(type =>
+          [ type, include[type].map(toVersion) ])
+      ])
+  const hash = crypto.createHash('sha1').update(source).digest('base64')
+    .replace(/=+$/, '')
+
+  return `${options.etag === 'weak' ? 'W/' : ''}"${hash}"`
+}
+
+
+/**
+ * Internal function to check if a conditional header, which is a list of
+ * entity tags or `*`, matches an entity tag. The weak comparison ignores the
+ * weak indicator, while the strong comparison never matches weak tags.
+ */
+function matchETag (header, etag, isStrong) {
+  if (!header) return false
+
+  const isWeak = tag => tag.indexOf('W/') === 0
+  const strip = tag => tag.replace(/^W\//, '')
+  const tags = header.split(',').map(tag => tag.trim())
+
+  return tags.some(tag => tag === '*' || (isStrong ?
+    !isWeak(tag) && !isWeak(etag) && tag === etag :
+    strip(tag) === strip(etag)))
+}
@@ -1,29 +1,40 @@
 'use strict'
 
 const uriTemplates = require('uri-templates')
-const inflection = require('inflection')
 
 const settings = require('./settings')
-const typeInflections = settings.typeInflections
 const mediaType = settings.mediaType
+const atomicExtension = settings.atomicExtension
+const cursorProfile = settings.cursorProfile
 const reservedKeys = settings.reservedKeys
 const defaults = settings.defaults
-
-const pageLimit = settings.pageLimit
-const pageOffset = settings.pageOffset
-const encodedLimit = encodeURIComponent(pageLimit)
-const encodedOffset = encodeURIComponent(pageOffset)
+const errorStatus = settings.errorStatus
 
 const helpers = require('./helpers')
 const mapRecord = helpers.mapRecord
 const matchId = helpers.matchId
-const mapId = helpers.mapId
 const castId = helpers.castId
 const initializeContext = helpers.initializeContext
-const underscore = helpers.underscore
 const parseBuffer = helpers.parseBuffer
-const checkLowerCase = helpers.checkLowerCase
 const setInflectType = helpers.setInflectType
+const formatMediaType = helpers.formatMediaType
+const parseMediaTypes = helpers.parseMediaTypes
+const castAttribute = helpers.castAttribute
+const mapRelationship = helpers.mapRelationship
+const describeError = helpers.describeError
+const collectErrors = helpers.collectErrors
+const truncateIncluded = helpers.truncateIncluded
+const paginateRecords = helpers.paginateRecords
+const computeETag = helpers.computeETag
+const matchETag = helpers.matchETag
+const checkVersions = helpers.checkVersions
+const checkPrecondition = helpers.checkPrecondition
+const checkOperation = helpers.checkOperation
+const formatType = helpers.formatType
+const parseType = helpers.parseType
+const setInflectKeys = helpers.setInflectKeys
+const formatKey = helpers.formatKey
+const parseKey = helpers.parseKey
 
 
 // JSON API is a compromise. There are many incidental complexities involved
@@ -45,7 +56,6 @@ module.exports = Serializer => {
   let methods
   let keys
   let errors
-  let castValue
 
   return Object.assign(class JsonApiSerializer extends Serializer {
     constructor (dependencies) {
@@ -55,7 +65,6 @@ module.exports = Serializer => {
       methods = this.methods
       keys = this.keys
       errors = this.errors
-      castValue = this.castValue
 
       const methodMap = {
         GET: methods.find,
@@ -69,20 +78,62 @@ module.exports = Serializer => {
         if (!(key in options))
           options[key] = defaults[key]
 
+      // Resolve the key inflection strategy.
+      options.inflectKeys = setInflectKeys(options.inflectKeys)
+
       // Convert type inflection check to object
       options.inflectType = setInflectType(
         options.inflectType,
         Object.getOwnPropertyNames(this.recordTypes)
       )
 
+      // The external names of types must map to types one to one.
+      const typeNames = Object.keys(this.recordTypes)
+        .map(type => formatType.call(this, type))
+
+      for (const type in options.typeNames) {
+        const name = options.typeNames[type]
+
+        if (!(type in this.recordTypes))
+          throw new Error(`The type "${type}" does not exist.`)
+
+        if (typeof name !== 'string' || !name)
+          throw new Error(`The name of the type "${type}" is invalid.`)
+      }
+
+      for (const name of typeNames)
+        if (typeNames.indexOf(name) !== typeNames.lastIndexOf(name))
+          throw new Error(`The type name "${name}" is not unique.`)
+
+      // The "If-Match" header uses the strong comparison, which never
+      // matches weak entity tags.
+      if (options.etag === 'weak' && options.versionField)
+        throw new Error('Weak entity tags can not be used with a version ' +
+          'field, since they can not be used as preconditions.')
+
+      // Cursors are translated into logical operators.
+      if (options.pagination === 'cursor' &&
+        !(this.adapter.features || {}).logicalOperators)
+        throw new Error('Cursor pagination requires the adapter to ' +
+          'support logical operators.')
+
       const uriTemplate = uriTemplates((options ?
         options.uriTemplate : null) || defaults.uriTemplate)
 
+      const extensions = options.extensions.concat(options.atomic ?
+        [ atomicExtension ] : [])
+      const profiles = options.profiles.concat(
+        options.pagination === 'cursor' ? [ cursorProfile ] : [])
+
       Object.defineProperties(this, {
 
         // Parse the URI template.
         uriTemplate: { value: uriTemplate },
 
+        // Extensions and profiles which may be negotiated.
+        extensions: { value: extensions },
+        profiles: { value: profiles },
+
         // Default method mapping.
         methodMap: { value: methodMap }
 
@@ -100,22 +151,44 @@ module.exports = Serializer => {
       const jsonSpaces = options.jsonSpaces
       const bufferEncoding = options.bufferEncoding
       let payload = contextResponse.payload
+      const records = payload ? payload.records : null
+      const include = payload ? payload.include : null
 
       if (!contextResponse.meta) contextResponse.meta = {}
       if (!contextResponse.meta.headers) contextResponse.meta.headers = {}
-      if (payload && payload.records)
+      if (payload && payload.records) {
         contextResponse = this.showResponse(contextResponse,
           request, payload.records, payload.include)
+
+        // The response may have been replaced by an error.
+        if (!contextResponse.meta) contextResponse.meta = {}
+        if (!contextResponse.meta.headers) contextResponse.meta.headers = {}
+      }
       if (contextResponse instanceof Error) {
         if (contextResponse.isMethodInvalid) return contextResponse
         if (contextResponse.isTypeUnspecified)
           this.showIndex(contextResponse, request, response)
-        else this.showError(contextResponse)
+        else if (!contextResponse.isAtomic) this.showError(contextResponse)
       }
 
       payload = contextResponse.payload
       if (!payload) return contextResponse
 
+      // Show the applied extensions and profiles.
+      const extensions = request.meta ? request.meta.extensions : null
+      const profiles = request.meta ? request.meta.profiles : null
+
+      if ((extensions && extensions.length) || (profiles && profiles.length)) {
+        contextResponse.meta.headers['Content-Type'] =
+          formatMediaType(extensions, profiles)
+
+        if (reservedKeys.jsonapi in payload)
+          payload[reservedKeys.jsonapi] = Object.assign({},
+            payload[reservedKeys.jsonapi],
+            extensions.length ? { ext: extensions } : null,
+            profiles.length ? { profile: profiles } : null)
+      }
+
       contextResponse.payload = JSON.stringify(payload, (key, value) => {
         // Duck type checking for buffer stringification.
         if (value && value.type === 'Buffer' &&
@@ -126,6 +199,21 @@ module.exports = Serializer => {
         return value
       }, jsonSpaces)
 
+      // Show nothing if the entity tag matches the "If-None-Match" header.
+      // Errors have no entity tag.
+      if (options.etag && records && request.meta.method === methods.find &&
+        !(contextResponse instanceof Error)) {
+        const etag = computeETag.call(this,
+          request, contextResponse.payload, records, include)
+
+        contextResponse.meta.headers['ETag'] = etag
+
+        if (matchETag(request.headers['if-none-match'], etag)) {
+          response.statusCode = 304
+          delete contextResponse.payload
+        }
+      }
+
       return contextResponse
     }
 
@@ -135,7 +223,6 @@ module.exports = Serializer => {
       const uriTemplate = this.uriTemplate
       const options = this.options
       const jsonapi = options.jsonapi
-      const inflectType = options.inflectType
       const prefix = options.prefix
 
       contextResponse.payload = {
@@ -144,11 +231,10 @@ module.exports = Serializer => {
         [reservedKeys.links]: {}
       }
 
-      for (let type in recordTypes) {
-        if (inflectType[type]) type =
-          inflection.transform(type, typeInflections[1])
-        contextResponse.payload[reservedKeys.links][type] = prefix +
-          uriTemplate.fillFromObject({ type })
+      for (const type in recordTypes) {
+        const name = formatType.call(this, type)
+        contextResponse.payload[reservedKeys.links][name] = prefix +
+          uriTemplate.fillFromObject({ type: name })
       }
       response.statusCode = 200
     }
@@ -160,8 +246,6 @@ module.exports = Serializer => {
       const options = this.options
       const jsonapi = options.jsonapi
       const prefix = options.prefix
-      const inflectType = options.inflectType
-      const inflectKeys = options.inflectKeys
       const NotFoundError = errors.NotFoundError
 
       const meta = request.meta
@@ -173,6 +257,8 @@ module.exports = Serializer => {
       const originalType = meta.originalType
       const originalIds = meta.originalIds
       const updateModified = contextResponse.meta.updateModified
+      const isCollection = meta.isCollection
+      const cursor = isCollection ? meta.cursor : null
 
       if (relationship)
         return this.showRelationship(contextResponse, request, records)
@@ -192,83 +278,55 @@ module.exports = Serializer => {
       const output = { [reservedKeys.jsonapi]: jsonapi }
 
       // Show collection.
-      if (!ids && method === methods.find) {
-        const count = records.count
-        const query = meta.uriObject.query
-        const limit = meta.options.limit
-        const offset = meta.options.offset
-        const collection = prefix + uriTemplate.fillFromObject({
-          query,
-          type: inflectType[type] ?
-            inflection.transform(type, typeInflections[1]) : type
-        })
-
-        output[reservedKeys.meta] = { count }
-        output[reservedKeys.links] = {
-          [reservedKeys.self]: collection
-        }
-        output[reservedKeys.primary] = []
-        // Set top-level pagination links.
-        if (count > limit) {
-          let queryLength = 0
-
-          if (query) {
-            delete query[pageOffset]
-            delete query[pageLimit]
-            queryLength = Object.keys(query).length
-          }
-
-          const paged = prefix + uriTemplate.fillFromObject({
+      if (isCollection) {
+        // Related records are paginated from the related URL.
+        records = paginateRecords.call(this, output, meta, records,
+          query => prefix + uriTemplate.fillFromObject(relatedField ? {
             query,
-            type: inflectType[type] ?
-              inflection.transform(type, typeInflections[1]) : type
-          })
-
-          Object.assign(output[reservedKeys.links], {
-            [reservedKeys.first]: `${paged}${queryLength ? '&' : '?'}` +
-              `${encodedOffset}=0` +
-              `&${encodeURIComponent(pageLimit)}=${limit}`,
-            [reservedKeys.last]: `${paged}${queryLength ? '&' : '?'}` +
-              `${encodedOffset}=${Math.floor((count - 1) / limit) * limit}` +
-              `&${encodedLimit}=${limit}`
-          },
-          limit + (offset || 0) < count ? {
-            [reservedKeys.next]: `${paged}${queryLength ? '&' : '?'}` +
-              `${encodedOffset}=${(Math.floor((offset || 0) / limit) + 1) *
-                limit}&${encodedLimit}=${limit}`
-          } : null,
-          (offset || 0) >= limit ? {
-            [reservedKeys.prev]: `${paged}${queryLength ? '&' : '?'}` +
-              `${encodedOffset}=${(Math.floor((offset || 0) / limit) - 1) *
-                limit}&${encodedLimit}=${limit}`
-          } : null)
-        }
+            type: formatType.call(this, originalType),
+            ids: originalIds,
+            relatedField: formatKey.call(this, relatedField)
+          } : {
+            query,
+            type: formatType.call(this, type)
+          }))
+        output[reservedKeys.primary] = []
       }
 
       if (records.length) {
-        if (ids)
+        if (ids && !isCollection)
           output[reservedKeys.links] = {
             [reservedKeys.self]: prefix + uriTemplate.fillFromObject({
-              type: inflectType[type] ?
-                inflection.transform(type, typeInflections[1]) : type,
+              type: formatType.call(this, type),
               ids
             })
           }
 
         output[reservedKeys.primary] = records.map(record =>
-          mapRecord.call(this, type, record))
+          mapRecord.call(this, type, record, meta.fieldsets))
+
+        // Show the cursor of each record.
+        if (cursor)
+          output[reservedKeys.primary].forEach((resource, index) => {
+            resource[reservedKeys.meta] = Object.assign({},
+              resource[reservedKeys.meta], {
+                [reservedKeys.page]: {
+                  [reservedKeys.cursor]: records.cursors[index]
+                }
+              })
+          })
 
-        if ((!originalType || (originalType &&
+        if (!meta.isBulk && (!originalType || (originalType &&
           !recordTypes[originalType][relatedField][keys.isArray])) &&
           ((ids && ids.length === 1) ||
           (method === methods.create && records.length === 1)))
           output[reservedKeys.primary] = output[reservedKeys.primary][0]
 
-        if (method === methods.create)
+        // There is no single location for records created in bulk.
+        if (method === methods.create && !meta.isBulk)
           contextResponse.meta.headers['Location'] = prefix +
             uriTemplate.fillFromObject({
-              type: inflectType[type] ?
-                inflection.transform(type, typeInflections[1]) : type,
+              type: formatType.call(this, type),
               ids: records.map(record => record[keys.primary])
             })
       }
@@ -276,16 +334,13 @@ module.exports = Serializer => {
         output[reservedKeys.primary] =
       recordTypes[originalType][relatedField][keys.isArray] ? [] : null
 
-      // Set related records.
-      if (relatedField)
+      // Set related records, unless shown as a collection.
+      if (relatedField && !isCollection)
         output[reservedKeys.links] = {
           [reservedKeys.self]: prefix + uriTemplate.fillFromObject({
-            type: inflectType[originalType] ?
-              inflection.transform(originalType, typeInflections[1]) :
-              originalType,
+            type: formatType.call(this, originalType),
             ids: originalIds,
-            relatedField: inflectKeys ? inflection.transform(relatedField,
-              [ 'underscore', 'dasherize' ]) : relatedField
+            relatedField: formatKey.call(this, relatedField)
           })
         }
 
@@ -295,7 +350,12 @@ module.exports = Serializer => {
 
         for (const type of Object.keys(include))
           Array.prototype.push.apply(output[reservedKeys.included],
-            include[type].map(mapRecord.bind(this, type)))
+            include[type].map(record =>
+              mapRecord.call(this, type, record, meta.fieldsets)))
+
+        if (options.maxIncluded !== null &&
+          output[reservedKeys.included].length > options.maxIncluded)
+          truncateIncluded.call(this, output)
       }
 
       if (Object.keys(output).length)
@@ -318,8 +378,6 @@ module.exports = Serializer => {
       const options = this.options
       const jsonapi = options.jsonapi
       const prefix = options.prefix
-      const inflectType = options.inflectType
-      const inflectKeys = options.inflectKeys
       const BadRequestError = errors.BadRequestError
 
       if (originalIds.length > 1)
@@ -335,30 +393,41 @@ module.exports = Serializer => {
         [reservedKeys.jsonapi]: jsonapi,
         [reservedKeys.links]: {
           [reservedKeys.self]: prefix + uriTemplate.fillFromObject({
-            type: inflectType[originalType] ?
-              inflection.transform(originalType, typeInflections[1]) :
-              originalType,
+            type: formatType.call(this, originalType),
             ids: originalIds, relatedField: reservedKeys.relationships,
-            relationship: inflectKeys ? inflection.transform(relatedField,
-                [ 'underscore', 'dasherize' ]) : relatedField
+            relationship: formatKey.call(this, relatedField)
           }),
           [reservedKeys.related]: prefix + uriTemplate.fillFromObject({
-            type: inflectType[originalType] ?
-              inflection.transform(originalType, typeInflections[1]) :
-              originalType,
+            type: formatType.call(this, originalType),
             ids: originalIds,
-            relatedField: inflectKeys ? inflection.transform(relatedField,
-              [ 'underscore', 'dasherize' ]) : relatedField
+            relatedField: formatKey.call(this, relatedField)
           })
         }
       }
 
       const isArray = recordTypes[originalType][relatedField][keys.isArray]
-      const identifiers = records.map(record => ({
-        [reservedKeys.type]: inflectType[type] ?
-          inflection.transform(type, typeInflections[1]) : type,
+      const cursor = meta.cursor
+
+      // Paginate the linkage of to-many relationships.
+      if (isArray && meta.isCollection)
+        records = paginateRecords.call(this, output, meta, records,
+          query => prefix + uriTemplate.fillFromObject({
+            query,
+            type: formatType.call(this, originalType),
+            ids: originalIds, relatedField: reservedKeys.relationships,
+            relationship: formatKey.call(this, relatedField)
+          }))
+
+      const identifiers = records.map((record, index) => Object.assign({
+        [reservedKeys.type]: formatType.call(this, type),
         [reservedKeys.id]: record[keys.primary].toString()
-      }))
+      }, isArray && cursor ? {
+        [reservedKeys.meta]: {
+          [reservedKeys.page]: {
+            [reservedKeys.cursor]: records.cursors[index]
+          }
+        }
+      } : null))
 
       output[reservedKeys.primary] = isArray ? identifiers :
         identifiers.length ? identifiers[0] : null
@@ -369,15 +438,52 @@ module.exports = Serializer => {
     }
 
 
-    parsePayload (contextRequest) {
+    parsePayload (contextRequest, request, response) {
       const method = contextRequest.method
+      const UnsupportedError = errors.UnsupportedError
+      const contentType = request && request.headers['content-type']
+      let payload
+
+      // The payload is parsed as JSON, so the declared media type must match.
+      if (request && (!contentType ||
+        parseMediaTypes(contentType)[0].type !== mediaType))
+        throw new UnsupportedError(
+          `The "Content-Type" header must be "${mediaType}".`)
+
+      if (contextRequest.isAtomic)
+        return this.processOperations(contextRequest, response)
+
+      // Problems with the query are reported along with those of the
+      // payload.
+      const collector = collectErrors.call(this, contextRequest.queryErrors)
 
       if (method === methods.create)
-        return this.parseCreate(contextRequest)
+        payload = collector.check(() => this.parseCreate(contextRequest))
       else if (method === methods.update)
-        return this.parseUpdate(contextRequest)
+        payload = collector.check(() => this.parseUpdate(contextRequest))
+      else throw new Error('Method is invalid.')
+
+      collector.done()
+
+      // Bulk requests respond with an array, even for a single record.
+      if (request) request.meta.isBulk = Boolean(contextRequest.isBulk)
+
+      // Bulk updates are not addressed by IDs in the route, so the
+      // precondition is checked against the IDs in the payload.
+      const precondition = request && method === methods.update &&
+        contextRequest.isBulk && !contextRequest.ids ?
+        checkPrecondition.call(this, contextRequest, request, response,
+          payload.map(update => update.id)) : null
 
-      throw new Error('Method is invalid.')
+      // Versions of the records must match before updating them.
+      const versions = contextRequest.versions &&
+        contextRequest.versions.length ?
+        checkVersions.call(this, contextRequest, response) : null
+
+      if (precondition || versions)
+        return Promise.all([ precondition, versions ]).then(() => payload)
+
+      return payload
     }
 
 
@@ -385,8 +491,6 @@ module.exports = Serializer => {
       contextRequest.payload = parseBuffer.call(this, contextRequest.payload)
       const recordTypes = this.recordTypes
       const options = this.options
-      const inflectType = options.inflectType
-      const inflectKeys = options.inflectKeys
       const MethodError = errors.MethodError
       const BadRequestError = errors.BadRequestError
       const ConflictError = errors.ConflictError
@@ -397,84 +501,84 @@ module.exports = Serializer => {
       const ids = contextRequest.ids
 
       const fields = recordTypes[type]
-      const cast = (type, options) => value => castValue(value, type, options)
+      const collector = collectErrors.call(this)
+      const check = collector.check
 
       // Can not create with IDs specified in route.
       if (ids)
-        throw new MethodError('Can not create with ID in the route.')
+        throw describeError(new MethodError(
+          'Can not create with ID in the route.'), 'invalid-route')
 
       // Can not create if related records are specified.
       if (relatedField)
-        throw new MethodError('Can not create related record.')
+        throw describeError(new MethodError(
+          'Can not create related record.'), 'invalid-route')
 
       let data = payload[reservedKeys.primary]
 
-      // No bulk extension for now.
-      if (Array.isArray(data))
-        throw new BadRequestError('Data must be singular.')
+      const isBulk = Array.isArray(data)
+
+      if (isBulk && !options.bulk)
+        throw describeError(new BadRequestError('Data must be singular.'),
+          'invalid-data', { pointer: `/${reservedKeys.primary}` })
 
-      data = [ data ]
+      if (!isBulk) data = [ data ]
 
-      return data.map(record => {
-        if (!(reservedKeys.type in record))
-          throw new BadRequestError(
-            `The required field "${reservedKeys.type}" is missing.`)
+      const parseRecord = (record, pointer) => {
+        if (!record || typeof record !== 'object')
+          throw describeError(new BadRequestError(
+            'The resource object is invalid.'), 'invalid-data', { pointer })
 
         const clone = {}
-        const recordType = inflectType[record[reservedKeys.type]] ?
-          checkLowerCase(inflection.transform(
-            underscore(record[reservedKeys.type]),
-            typeInflections[0]), recordTypes) :
-          record[reservedKeys.type]
 
-        if (recordType !== type)
-          throw new ConflictError('Incorrect type.')
+        check(() => {
+          if (!(reservedKeys.type in record))
+            throw describeError(new BadRequestError(
+              `The required field "${reservedKeys.type}" is missing.`),
+            'missing-type', { pointer })
+
+          const recordType = parseType.call(this, record[reservedKeys.type])
+
+          if (recordType !== type)
+            throw describeError(new ConflictError('Incorrect type.'),
+              'incorrect-type',
+              { pointer: `${pointer}/${reservedKeys.type}` })
+        })
 
         if (reservedKeys.id in record)
           clone[reservedKeys.id] = castId.call(this, record[keys.primary])
 
         if (reservedKeys.attributes in record)
-          for (let field in record[reservedKeys.attributes]) {
-            const value = record[reservedKeys.attributes][field]
-
-            if (inflectKeys)
-              field = inflection.camelize(underscore(field), true)
-
-            const fieldDefinition = fields[field] || {}
-            const fieldType = fieldDefinition[keys.type]
+          for (const key in record[reservedKeys.attributes]) check(() => {
+            const value = record[reservedKeys.attributes][key]
+            const field = parseKey.call(this, key)
 
-            clone[field] = Array.isArray(value) ?
-              value.map(cast(fieldType, options)) :
-              castValue(value, fieldType, options)
-          }
+            clone[field] = castAttribute.call(this, fields, field, value,
+              `${pointer}/${reservedKeys.attributes}/${key}`)
+          })
 
         if (reservedKeys.relationships in record)
-          for (let field of Object.keys(record[reservedKeys.relationships])) {
-            const value = record[reservedKeys.relationships][field]
+          for (const key of Object.keys(record[reservedKeys.relationships]))
+            check(() => {
+              const field = parseKey.call(this, key)
 
-            if (inflectKeys)
-              field = inflection.camelize(underscore(field), true)
+              clone[field] = mapRelationship.call(this, fields, field,
+                record[reservedKeys.relationships][key],
+                `${pointer}/${reservedKeys.relationships}/${key}`)
+            })
 
-            if (!(reservedKeys.primary in value))
-              throw new BadRequestError('The ' +
-                `"${reservedKeys.primary}" field is missing.`)
+        return clone
+      }
 
-            const linkKey = fields[field][keys.link]
-            const relatedType = inflectType[linkKey] ? inflection.transform(
-              linkKey, typeInflections[1]) :
-              linkKey
-            const relatedIsArray = fields[field][keys.isArray]
-            const data = value[reservedKeys.primary]
+      contextRequest.isBulk = isBulk
 
-            clone[field] = data ? (Array.isArray(data) ? data : [ data ])
-              .map(mapId.bind(this, relatedType)) : null
+      const records = data.map((record, index) => check(() =>
+        parseRecord(record, isBulk ?
+          `/${reservedKeys.primary}/${index}` : `/${reservedKeys.primary}`)))
 
-            if (clone[field] && !relatedIsArray)
-              clone[field] = clone[field][0]
-          }
+      collector.done()
 
-        return clone
-      })
+      return records
     }
 
 
@@ -484,8 +588,6 @@ module.exports = Serializer => {
       const recordTypes = this.recordTypes
 
       const options = this.options
-      const inflectType = options.inflectType
-      const inflectKeys = options.inflectKeys
 
       const MethodError = errors.MethodError
       const BadRequestError = errors.BadRequestError
@@ -497,89 +599,110 @@ module.exports = Serializer => {
       const relatedField = contextRequest.relatedField
       const relationship = contextRequest.relationship
 
-      const cast = (type, options) => value => castValue(value, type, options)
-
       if (relationship) return this.updateRelationship(contextRequest)
 
       // No related record update.
-      if (relatedField) throw new MethodError(
-        'Can not update related record indirectly.')
-
-      // Can't update collections.
-      if (!Array.isArray(ids) || !ids.length)
-        throw new BadRequestError('IDs unspecified.')
+      if (relatedField) throw describeError(new MethodError(
+        'Can not update related record indirectly.'), 'invalid-route')
 
       const fields = recordTypes[type]
-      const updates = []
+      const seenIds = new Set()
+      const versions = []
+      const collector = collectErrors.call(this)
+      const check = collector.check
       let data = payload[reservedKeys.primary]
 
-      // No bulk/patch extension for now.
-      if (Array.isArray(data))
-        throw new BadRequestError('Data must be singular.')
+      const isBulk = Array.isArray(data)
+
+      if (isBulk && !options.bulk)
+        throw describeError(new BadRequestError('Data must be singular.'),
+          'invalid-data', { pointer: `/${reservedKeys.primary}` })
+
+      // Can't update collections, unless updating in bulk.
+      if ((!Array.isArray(ids) || !ids.length) && !isBulk)
+        throw describeError(new BadRequestError('IDs unspecified.'),
+          'missing-ids')
 
-      data = [ data ]
+      if (!isBulk) data = [ data ]
+
+      const parseRecord = (update, pointer) => {
+        if (!update || typeof update !== 'object')
+          throw describeError(new BadRequestError(
+            'The resource object is invalid.'), 'invalid-data', { pointer })
 
-      for (const update of data) {
         const replace = {}
-        const updateType = inflectType[update[reservedKeys.type]] ?
-          checkLowerCase(inflection.transform(
-            underscore(update[reservedKeys.type]),
-            typeInflections[0]), recordTypes) :
-          update[reservedKeys.type]
+        const id = check(() => {
+          if (!(reservedKeys.id in update))
+            throw describeError(new BadRequestError('ID is unspecified.'),
+              'missing-id', { pointer })
 
-        if (!ids.some(matchId.bind(this, update)))
-          throw new ConflictError('Invalid ID.')
+          if (ids && !ids.some(matchId.bind(this, update)))
+            throw describeError(new ConflictError('Invalid ID.'),
+              'invalid-id', { pointer: `${pointer}/${reservedKeys.id}` })
 
-        if (updateType !== type)
-          throw new ConflictError('Incorrect type.')
+          const id = castId.call(this, update[keys.primary])
 
-        if (reservedKeys.attributes in update)
-          for (let field in update[reservedKeys.attributes]) {
-            const value = update[reservedKeys.attributes][field]
+          if (seenIds.has(id))
+            throw describeError(
+              new ConflictError(`The ID "${id}" is duplicated.`),
+              'duplicate-id', { pointer: `${pointer}/${reservedKeys.id}` })
 
-            if (inflectKeys)
-              field = inflection.camelize(underscore(field), true)
+          seenIds.add(id)
 
-            const fieldDefinition = fields[field] || {}
-            const fieldType = fieldDefinition[keys.type]
+          return id
+        })
 
-            replace[field] = Array.isArray(value) ?
-              value.map(cast(fieldType, options)) :
-              castValue(value, fieldType, options)
-          }
+        check(() => {
+          const updateType = parseType.call(this, update[reservedKeys.type])
 
-        if (reservedKeys.relationships in update)
-          for (let field of Object.keys(update[reservedKeys.relationships])) {
-            const value = update[reservedKeys.relationships][field]
+          if (updateType !== type)
+            throw describeError(new ConflictError('Incorrect type.'),
+              'incorrect-type',
+              { pointer: `${pointer}/${reservedKeys.type}` })
+        })
 
-            if (inflectKeys)
-              field = inflection.camelize(underscore(field), true)
+        if (reservedKeys.attributes in update)
+          for (const key in update[reservedKeys.attributes]) check(() => {
+            const value = update[reservedKeys.attributes][key]
+            const field = parseKey.call(this, key)
 
-            if (!(reservedKeys.primary in value))
-              throw new BadRequestError(
-                `The "${reservedKeys.primary}" field is missing.`)
+            replace[field] = castAttribute.call(this, fields, field, value,
+              `${pointer}/${reservedKeys.attributes}/${key}`)
+          })
 
-            const relatedType = inflectType[fields[field][keys.link]] ?
-              inflection.transform(fields[field][keys.link],
-                typeInflections[1]) : fields[field][keys.link]
-            const relatedIsArray = fields[field][keys.isArray]
-            const data = value[reservedKeys.primary]
+        if (reservedKeys.relationships in update)
+          for (const key of Object.keys(update[reservedKeys.relationships]))
+            check(() => {
+              const field = parseKey.call(this, key)
 
-            replace[field] = data ? (Array.isArray(data) ? data : [ data ])
-              .map(mapId.bind(this, relatedType)) : null
+              replace[field] = mapRelationship.call(this, fields, field,
+                update[reservedKeys.relationships][key],
+                `${pointer}/${reservedKeys.relationships}/${key}`)
+            })
 
-            if (replace[field] && !relatedIsArray)
-              replace[field] = replace[field][0]
-          }
+        // The version in the meta object is checked before updating.
+        const version = (update[reservedKeys.meta] || {}).version
+        if (options.versionField && version !== void 0)
+          versions.push({ id, version,
+            pointer: `${pointer}/${reservedKeys.meta}/version` })
 
-        updates.push({
-          id: castId.call(this, update[keys.primary]),
-          replace
-        })
+        return { id, replace }
       }
 
-      if (updates.length < ids.length)
-        throw new BadRequestError('An update is missing.')
+      contextRequest.isBulk = isBulk
+      contextRequest.versions = versions
+
+      const updates = data.map((update, index) => check(() =>
+        parseRecord(update, isBulk ?
+          `/${reservedKeys.primary}/${index}` : `/${reservedKeys.primary}`)))
+
+      check(() => {
+        if (ids && updates.length < ids.length)
+          throw describeError(new BadRequestError('An update is missing.'),
+            'missing-update', { pointer: `/${reservedKeys.primary}` })
+      })
+
+      collector.done()
 
       return updates
     }
@@ -587,8 +710,6 @@ module.exports = Serializer => {
 
     updateRelationship (contextRequest) {
       const recordTypes = this.recordTypes
-      const options = this.options
-      const inflectType = options.inflectType
 
       const NotFoundError = errors.NotFoundError
       const MethodError = errors.MethodError
@@ -619,38 +740,53 @@ module.exports = Serializer => {
       }
 
       if (originalIds.length > 1)
-        throw new NotFoundError(
-          'Can only update relationships for one record at a time.')
+        throw describeError(new NotFoundError(
+          'Can only update relationships for one record at a time.'),
+        'invalid-route')
 
       if (!isArray && originalMethod)
-        throw new MethodError('Can not ' +
+        throw describeError(new MethodError('Can not ' +
           `${originalMethod === methods.create ? 'push to' : 'pull from'}` +
-          ' a to-one relationship.')
+          ' a to-one relationship.'), 'invalid-method')
 
       const updates = []
+      const collector = collectErrors.call(this)
+      const check = collector.check
       const operation = originalMethod ? originalMethod === methods.create ?
         'push' : 'pull' : 'replace'
       let updateIds = payload[reservedKeys.primary]
 
       if (!isArray)
         if (!Array.isArray(updateIds)) updateIds = [ updateIds ]
-        else throw new BadRequestError('Data must be singular.')
+        else throw describeError(new BadRequestError('Data must be singular.'),
+          'invalid-data', { pointer: `/${reservedKeys.primary}` })
+      else if (!Array.isArray(updateIds))
+        throw describeError(new BadRequestError('Data must be an array.'),
+          'invalid-data', { pointer: `/${reservedKeys.primary}` })
+
+      updateIds = updateIds.map((update, index) => check(() => {
+        const pointer = isArray ?
+          `/${reservedKeys.primary}/${index}` : `/${reservedKeys.primary}`
 
-      updateIds = updateIds.map(update => {
-        const updateType = inflectType[update[reservedKeys.type]] ?
-          checkLowerCase(inflection.transform(
-            underscore(update[reservedKeys.type]),
-            typeInflections[0]), recordTypes) :
-          update[reservedKeys.type]
+        if (!update || typeof update !== 'object')
+          throw describeError(new BadRequestError(
+            'The resource identifier object is invalid.'), 'invalid-data',
+          { pointer })
+
+        const updateType = parseType.call(this, update[reservedKeys.type])
 
         if (updateType !== type)
-          throw new ConflictError('Incorrect type.')
+          throw describeError(new ConflictError('Incorrect type.'),
+            'incorrect-type', { pointer: `${pointer}/${reservedKeys.type}` })
 
         if (!(reservedKeys.id in update))
-          throw new BadRequestError('ID is unspecified.')
+          throw describeError(new BadRequestError('ID is unspecified.'),
+            'missing-id', { pointer })
 
         return castId.call(this, update[keys.primary])
-      })
+      }))
+
+      collector.done()
 
       updates.push({
         id: originalIds[0],
@@ -667,22 +803,339 @@ module.exports = Serializer => {
     }
 
 
-    showError (error) {
-      const obj = {
-        title: error.name,
-        detail: error.message
+    processOperations (contextRequest, response) {
+      const recordTypes = this.recordTypes
+      const uriTemplate = this.uriTemplate
+      const options = this.options
+      const instance = options.atomic
+      const adapter = instance.adapter
+      const BadRequestError = errors.BadRequestError
+      const ConflictError = errors.ConflictError
+      const NotFoundError = errors.NotFoundError
+
+      const payload = parseBuffer.call(this, contextRequest.payload)
+      const meta = contextRequest.meta
+      const operations = payload[reservedKeys.operations]
+
+      // Map of local IDs to IDs assigned by the server.
+      const lids = {}
+
+      if (!Array.isArray(operations))
+        throw describeError(new BadRequestError(
+          `The "${reservedKeys.operations}" member must be an array.`),
+        'invalid-operation', { pointer: `/${reservedKeys.operations}` })
+
+      const isObject = value =>
+        Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+
+      const resolveLid = identifier => {
+        if (!isObject(identifier) || reservedKeys.id in identifier ||
+          !(reservedKeys.lid in identifier)) return identifier
+
+        const lid = identifier[reservedKeys.lid]
+
+        if (!(lid in lids))
+          throw describeError(new BadRequestError(
+            `The local ID "${lid}" is undefined.`), 'invalid-lid')
+
+        return Object.assign({}, identifier, { [reservedKeys.id]: lids[lid] })
       }
 
-      for (const key in error) {
-        // Omit useless keys from the error.
-        if (key === 'meta' && Object.keys(error[key]).length === 1) continue
-        if (key === 'payload' && !error[key]) continue
-        obj[key] = error[key]
+      // Operations on existing records are checked against the versions of
+      // the records, which are given in the meta object of the operation,
+      // or of the resource object for an update.
+      const precondition = (type, versions, pointer) => () =>
+        checkOperation.call(this, { type, versions, meta }, response,
+          pointer)
+
+      const versionOf = (operation, id) => {
+        const version = (operation[reservedKeys.meta] || {}).version
+        return version === void 0 ? [] : [ { id, version,
+          pointer: `/${reservedKeys.meta}/version` } ]
       }
 
+      const parseOperation = operation => {
+        if (!isObject(operation))
+          throw describeError(new BadRequestError(
+            'The operation must be an object.'), 'invalid-operation')
+
+        const op = operation[reservedKeys.op]
+        let ref = operation[reservedKeys.ref]
+        let data = operation[reservedKeys.primary]
+
+        if (op !== 'add' && op !== 'update' && op !== 'remove')
+          throw describeError(new BadRequestError(
+            `The operation "${op}" is invalid.`), 'invalid-operation',
+          { pointer: `/${reservedKeys.op}` })
+
+        if (reservedKeys.ref in operation && !isObject(ref))
+          throw describeError(new BadRequestError(
+            `The "${reservedKeys.ref}" member must be an object.`),
+          'invalid-operation', { pointer: `/${reservedKeys.ref}` })
+
+        if (reservedKeys.href in operation &&
+          typeof operation[reservedKeys.href] !== 'string')
+          throw describeError(new BadRequestError(
+            `The "${reservedKeys.href}" member must be a string.`),
+          'invalid-operation', { pointer: `/${reservedKeys.href}` })
+
+        if (data !== void 0 && data !== null && !isObject(data) &&
+          !(Array.isArray(data) && data.every(isObject)))
+          throw describeError(new BadRequestError(
+            `The "${reservedKeys.primary}" member is invalid.`),
+          'invalid-data', { pointer: `/${reservedKeys.primary}` })
+
+        if (reservedKeys.href in operation) {
+          const uriObject = uriTemplate.fromUri(operation[reservedKeys.href])
+          const isRelationship =
+            uriObject.relatedField === reservedKeys.relationships
+
+          if (!uriObject.type || (uriObject.relatedField && !isRelationship))
+            throw describeError(new BadRequestError(
+              `The "${reservedKeys.href}" member is invalid.`),
+            'invalid-operation', { pointer: `/${reservedKeys.href}` })
+
+          ref = {
+            [reservedKeys.type]: uriObject.type,
+            [reservedKeys.id]: uriObject.ids
+          }
+          if (isRelationship)
+            ref[reservedKeys.relationship] = uriObject.relationship
+        }
+
+        ref = resolveLid(ref)
+
+        // Operations on resources must have a single resource object.
+        if (op !== 'remove' && !(ref && reservedKeys.relationship in ref) &&
+          !isObject(data))
+          throw describeError(new BadRequestError(
+            `The "${reservedKeys.primary}" member is missing.`),
+          'missing-data', { pointer: `/${reservedKeys.primary}` })
+
+        if (data && reservedKeys.relationships in data) {
+          data = Object.assign({}, data, {
+            [reservedKeys.relationships]: Object.assign({},
+              data[reservedKeys.relationships])
+          })
+
+          const relationships = data[reservedKeys.relationships]
+
+          for (const field in relationships) {
+            const value = relationships[field]
+            if (!value || !(reservedKeys.primary in value)) continue
+            const linkage = value[reservedKeys.primary]
+            relationships[field] = Object.assign({}, value, {
+              [reservedKeys.primary]: Array.isArray(linkage) ?
+                linkage.map(resolveLid) : resolveLid(linkage)
+            })
+          }
+        }
+
+        const typeName = (ref || data || {})[reservedKeys.type]
+        const type = parseType.call(this, typeName)
+
+        if (!(type in recordTypes))
+          throw describeError(new NotFoundError(
+            `The type "${typeName}" does not exist.`), 'invalid-type')
+
+        if (ref && reservedKeys.relationship in ref) {
+          let relatedField = ref[reservedKeys.relationship]
+          const fields = recordTypes[type]
+
+          relatedField = parseKey.call(this, relatedField)
+
+          if (!(relatedField in fields) ||
+            !(keys.link in fields[relatedField]) ||
+            fields[relatedField][keys.denormalizedInverse])
+            throw describeError(new NotFoundError('The field ' +
+              `"${relatedField}" is not a link on the type "${type}".`),
+            'invalid-field')
+
+          const id = castId.call(this, ref[reservedKeys.id])
+          const context = {
+            payload: { [reservedKeys.primary]: Array.isArray(data) ?
+              data.map(resolveLid) : resolveLid(data) },
+            type: fields[relatedField][keys.link],
+            relatedField,
+            originalType: type,
+            originalIds: [ id ]
+          }
+
+          if (op === 'add') context.originalMethod = methods.create
+          else if (op === 'remove') context.originalMethod = methods.delete
+
+          return [ {
+            method: methods.update, type,
+            payload: this.updateRelationship(context)
+          }, null, void 0, precondition(type, versionOf(operation, id),
+            `/${reservedKeys.meta}`) ]
+        }
+
+        if (op === 'add') return [ {
+          method: methods.create, type,
+          payload: this.parseCreate({
+            payload: { [reservedKeys.primary]: data }, type
+          })
+        }, type, data && data[reservedKeys.lid] ]
+
+        if (op === 'update') {
+          data = resolveLid(data)
+
+          // The reference, if any, must be to the resource being updated.
+          const pointTo = key => reservedKeys.href in operation ?
+            `/${reservedKeys.href}` : `/${reservedKeys.ref}/${key}`
+
+          if (ref && parseType.call(this, ref[reservedKeys.type]) !==
+            parseType.call(this, data[reservedKeys.type]))
+            throw describeError(new ConflictError('Incorrect type.'),
+              'incorrect-type', { pointer: pointTo(reservedKeys.type) })
+
+          if (ref && reservedKeys.id in ref &&
+            String(ref[reservedKeys.id]) !== String(data[reservedKeys.id]))
+            throw describeError(new ConflictError('Invalid ID.'),
+              'invalid-id', { pointer: pointTo(reservedKeys.id in
+                (operation[reservedKeys.ref] || {}) ? reservedKeys.id :
+                reservedKeys.lid) })
+
+          const context = {
+            payload: { [reservedKeys.primary]: data }, type,
+            ids: [ castId.call(this, (data || {})[reservedKeys.id]) ]
+          }
+          const payload = this.parseUpdate(context)
+
+          return [ { method: methods.update, type, payload }, type, void 0,
+            precondition(type, context.versions,
+              `/${reservedKeys.primary}/${reservedKeys.meta}`) ]
+        }
+
+        if (!ref || !(reservedKeys.id in ref))
+          throw describeError(new BadRequestError('ID is unspecified.'),
+            'missing-id', { pointer: `/${reservedKeys.ref}` })
+
+        const id = castId.call(this, ref[reservedKeys.id])
+
+        return [ { method: methods.delete, type, ids: [ id ] }, null, void 0,
+          precondition(type, versionOf(operation, id),
+            `/${reservedKeys.meta}`) ]
+      }
+
+      return adapter.beginTransaction()
+      .then(transaction => {
+        const events = []
+
+        // Requests made through this scope share the same transaction,
+        // which is ended only after every operation is done. Passing the
+        // transaction as an option instead would discard the response.
+        // The instance binds its methods to itself, so they are bound to
+        // the scope instead, which holds the change events until then,
+        // since the operations may be rolled back.
+        const scope = Object.create(instance)
+
+        instance.constructor.call(scope, instance.recordTypes, {
+          hooks: instance.hooks,
+          settings: instance.options.settings
+        })
+
+        Object.defineProperties(scope, {
+          adapter: {
+            value: Object.create(adapter, {
+              beginTransaction: {
+                value: () => Promise.resolve(Object.create(transaction, {
+                  endTransaction: { value: () => Promise.resolve() }
+                }))
+              }
+            })
+          },
+          connectionStatus: { value: instance.connectionStatus },
+          emit: { value: function emit () { events.push(arguments) } }
+        })
+
+        return operations.reduce((chain, operation, index) =>
+          chain.then(results => Promise.resolve()
+          .then(() => {
+            // Only operations on resources have resource data in results.
+            const parsed = parseOperation(operation)
+            const type = parsed[1]
+            const lid = parsed[2]
+            const check = parsed[3]
+
+            return Promise.resolve(check ? check() : null)
+            .then(() => scope.request(Object.assign(parsed[0], { meta })))
+            .then(result => {
+              const records = type && result.payload ?
+                result.payload.records : null
+
+              if (!records || !records.length) return results.push({})
+
+              if (lid !== void 0) lids[lid] = records[0][keys.primary]
+
+              return results.push({
+                [reservedKeys.primary]: mapRecord.call(this, type, records[0])
+              })
+            })
+          })
+          .then(() => results, error => {
+            // Point to the operation which failed, or the member within it.
+            for (const item of error.errors || [ error ]) {
+              const pointer = (item.source || {}).pointer || ''
+
+              item.source = {
+                pointer: `/${reservedKeys.operations}/${index}${pointer}`
+              }
+            }
+            throw error
+          })), Promise.resolve([]))
+        .then(results => transaction.endTransaction().then(() => {
+          for (const args of events) instance.emit.apply(instance, args)
+          return results
+        }), error => transaction.endTransaction(error)
+            .then(() => { throw error }, () => { throw error }))
+      })
+      .then(results => {
+        // Avoid making another internal request by throwing the response.
+        const output = new Error()
+
+        output.isAtomic = true
+
+        if (results.some(result => reservedKeys.primary in result)) {
+          output.payload = {
+            [reservedKeys.jsonapi]: options.jsonapi,
+            [reservedKeys.results]: results
+          }
+          response.statusCode = 200
+        }
+        else response.statusCode = 204
+
+        throw output
+      })
+    }
+
+
+    showError (error) {
+      // Collected errors are shown individually.
+      const list = (error.errors || [ error ]).map(error => {
+        const name = Object.keys(errorStatus)
+          .find(name => error.constructor === errors[name])
+        const obj = {
+          status: String(error.status || (name ? errorStatus[name] : 500)),
+          title: error.name,
+          detail: error.message
+        }
+
+        for (const key in error) {
+          // Omit useless keys from the error.
+          if (key === 'meta' && Object.keys(error[key]).length === 1)
+            continue
+          if (key === 'payload' && !error[key]) continue
+          obj[key] = error[key]
+        }
+
+        return obj
+      })
+
       error.payload = {
         [reservedKeys.jsonapi]: this.options.jsonapi,
-        [reservedKeys.errors]: [ obj ]
+        [reservedKeys.errors]: list
       }
     }
   }, { mediaType })
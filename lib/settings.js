@@ -32,7 +32,16 @@ const reservedKeys = {
   first: 'first',
   last: 'last',
   prev: 'prev',
-  next: 'next'
+  next: 'next',
+  cursor: 'cursor',
+
+  // Atomic Operations extension.
+  operations: 'atomic:operations',
+  results: 'atomic:results',
+  op: 'op',
+  ref: 'ref',
+  lid: 'lid',
+  relationship: 'relationship'
 }
 
 const defaults = {
@@ -40,16 +49,53 @@ const defaults = {
   // record type names are singular, so this will pluralize types.
   inflectType: true,
 
+  // External names of types, keyed by type, which are used instead of
+  // inflecting them, such as `{ person: 'people-directory' }`.
+  typeNames: {},
+
   // Inflect the names of the fields per record. The expectation is that the
-  // keys are lower camel cased, and the output is dasherized.
+  // keys are lower camel cased, and the output is dasherized. It may also be
+  // the name of a strategy, either `kebab`, `snake` or `camel`, or an object
+  // with `encode` and `decode` functions.
   inflectKeys: true,
 
+  // Pagination strategy, either `offset`, `number` or `cursor`.
+  pagination: 'offset',
+
   // Maximum number of records to show per page.
   maxLimit: 1000,
 
+  // Whether to count the records of collections, which may be overridden per
+  // request by `page[count]`. If not, the next page is inferred by fetching
+  // one more record.
+  showCount: true,
+
   // Maximum number of fields per include.
   includeLimit: 3,
 
+  // Include paths per type, keyed by type. Each may contain `allow`, the
+  // paths which may be included, `limit`, the maximum depth which overrides
+  // `includeLimit`, and `default`, the paths to include if none are given.
+  includePaths: {},
+
+  // Maximum number of included records, or `null` for no limit. Truncation
+  // is described in the top-level `meta` object.
+  maxIncluded: null,
+
+  // Maximum number of resource identifiers per to-many relationship of a
+  // record, or `null` for no limit. Beyond it, only the links and the count
+  // are shown.
+  maxLinkage: null,
+
+  // Whether to show an entity tag for found records, either `weak` or
+  // `strong`, and a field of the records from which it is derived.
+  etag: null,
+  versionField: null,
+
+  // Whether writes to records must have an "If-Match" header, if there is a
+  // version field.
+  requirePrecondition: false,
+
   // What encoding to use for input buffer fields.
   bufferEncoding: 'base64',
 
@@ -64,9 +110,38 @@ const defaults = {
     version: '1.0'
   },
 
+  // Accept an array of resource objects in `data` to create or update
+  // records in bulk.
+  bulk: false,
+
+  // Filter operators which have no equivalent in the query options, keyed by
+  // operator. Each is a function which accepts the query options, the field
+  // and the value, and attaches the adapter-specific query.
+  filterOperators: {},
+
+  // Implementation-specific query parameter families, keyed by family. Each
+  // is a function which accepts the query options, the parameter and its
+  // value, and maps it onto the query options.
+  queryParameters: {},
+
+  // Report every problem with the payload or query instead of only the
+  // first one.
+  collectErrors: false,
+
   // Turn numeric string IDs into numbers.
   castNumericIds: true,
 
+  // Fortune instance which executes Atomic Operations requests. The
+  // extension is disabled unless this is set.
+  atomic: null,
+
+  // Route of the Atomic Operations endpoint.
+  operationsPath: 'operations',
+
+  // URIs of extensions and profiles which are supported by the application.
+  extensions: [],
+  profiles: [],
+
   // URI Template. See RFC 6570:
   // https://tools.ietf.org/html/rfc6570
   uriTemplate: '{/type,ids,relatedField,relationship}{?query*}',
@@ -92,10 +167,42 @@ module.exports = {
   // Registered media type.
   mediaType: 'application/vnd.api+json',
 
+  // Official extensions and profiles.
+  atomicExtension: 'https://jsonapi.org/ext/atomic',
+  cursorProfile:
+    'https://jsonapi.org/profiles/ethanresnick/cursor-pagination/',
+
+  // HTTP status codes of errors, which agree with the HTTP listener.
+  errorStatus: {
+    BadRequestError: 400,
+    UnauthorizedError: 401,
+    ForbiddenError: 403,
+    NotFoundError: 404,
+    MethodError: 405,
+    NotAcceptableError: 406,
+    ConflictError: 409,
+    UnsupportedError: 415,
+    UnprocessableError: 422
+  },
+
   // Regular expressions.
   inBrackets: /\[([^\]]+)\](?:\[([^\]]+)\])?/,
-  isField: new RegExp(`^${reservedKeys.fields}`),
-  isFilter: new RegExp(`^${reservedKeys.filter}`),
+  allBrackets: /\[[^\]]+\]/g,
+  isField: new RegExp(`^${reservedKeys.fields}\\[`),
+  isFilter: new RegExp(`^${reservedKeys.filter}\\[`),
+
+  // Query parameter families which are reserved by the spec, and any other
+  // family which has only lowercase letters.
+  reservedFamilies: [
+    reservedKeys.fields, reservedKeys.filter, reservedKeys.include,
+    reservedKeys.sort, reservedKeys.page
+  ],
+  isReservedFamily: /^[a-z]+$/,
   pageLimit: `${reservedKeys.page}[limit]`,
-  pageOffset: `${reservedKeys.page}[offset]`
+  pageOffset: `${reservedKeys.page}[offset]`,
+  pageNumber: `${reservedKeys.page}[number]`,
+  pageSize: `${reservedKeys.page}[size]`,
+  pageAfter: `${reservedKeys.page}[after]`,
+  pageBefore: `${reservedKeys.page}[before]`,
+  pageCount: `${reservedKeys.page}[count]`
 }
@@ -1,5 +1,6 @@
 'use strict'
 
+const http = require('http')
 const deepEqual = require('deep-equal')
 const qs = require('querystring')
 const Ajv = require('ajv').default
@@ -7,7 +8,11 @@ const addFormats = require('ajv-formats').default
 
 const run = require('tapdance')
 
+const fortune = require('fortune')
+const fortuneHTTP = require('fortune-http')
+const change = fortune.events.change
 const httpTest = require('fortune-http/test/http_test')
+const testInstance = require('fortune/test/integration/test_instance')
 const jsonApi = require('../lib')
 const jsonApiResponseSchema = require('./json-api-response-schema.json')
 
@@ -47,6 +52,229 @@ const uncastNumericIdsTest = httpTest.bind(null, {
     ]
   ]
 })
+const atomicMediaType =
+  `${mediaType}; ext="https://jsonapi.org/ext/atomic"`
+
+// The Atomic Operations extension needs the Fortune instance, which the
+// HTTP test helper does not expose.
+const atomicTest = (path, request, fn, prepare, options) => testInstance()
+.then(store => {
+  if (prepare) prepare(store)
+
+  const listener = fortuneHTTP(store, {
+    serializers: [ [ jsonApi,
+      Object.assign({ prefix: '', atomic: store }, options) ] ]
+  })
+  const server = http.createServer((request, response) =>
+    listener(request, response).catch(() => null))
+  const body = JSON.stringify(request.body)
+
+  request.headers['content-length'] = Buffer.byteLength(body)
+
+  return new Promise(resolve => server.listen(resolve))
+  .then(() => new Promise((resolve, reject) =>
+    http.request(Object.assign({ port: server.address().port, path },
+      request, { method: request.method.toUpperCase() }), response => {
+      const chunks = []
+      response.on('error', reject)
+      response.on('data', chunk => chunks.push(chunk))
+      response.on('end', () => resolve({
+        status: response.statusCode,
+        headers: response.headers,
+        body: chunks.length ? JSON.parse(Buffer.concat(chunks)) : ''
+      }))
+    }).end(body)))
+  .then(response => {
+    server.close()
+    return Promise.resolve(fn(response, store))
+    .then(() => store.disconnect())
+  })
+})
+const profileTest = httpTest.bind(null, {
+  serializers: [
+    [
+      jsonApi, {
+        prefix: '',
+        profiles: [ 'https://example.com/profile' ]
+      }
+    ]
+  ]
+})
+const bulkTest = httpTest.bind(null, {
+  serializers: [
+    [
+      jsonApi, {
+        prefix: '',
+        bulk: true
+      }
+    ]
+  ]
+})
+const numberTest = httpTest.bind(null, {
+  serializers: [
+    [
+      jsonApi, {
+        prefix: '',
+        pagination: 'number'
+      }
+    ]
+  ]
+})
+const uncountedTest = httpTest.bind(null, {
+  serializers: [
+    [
+      jsonApi, {
+        prefix: '',
+        pagination: 'number',
+        showCount: false
+      }
+    ]
+  ]
+})
+const cursorTest = httpTest.bind(null, {
+  serializers: [
+    [
+      jsonApi, {
+        prefix: '',
+        pagination: 'cursor'
+      }
+    ]
+  ]
+})
+const collectTest = httpTest.bind(null, {
+  serializers: [
+    [
+      jsonApi, {
+        prefix: '',
+        collectErrors: true
+      }
+    ]
+  ]
+})
+const operatorTest = httpTest.bind(null, {
+  serializers: [
+    [
+      jsonApi, {
+        prefix: '',
+        filterOperators: {
+          'starts-with': (options, field, value) => {
+            // The memory adapter can only match substrings.
+            options.fuzzyMatch = { [field]: value }
+          }
+        }
+      }
+    ]
+  ]
+})
+const parameterTest = httpTest.bind(null, {
+  serializers: [
+    [
+      jsonApi, {
+        prefix: '',
+        queryParameters: {
+          nameIs: (options, parameter, value) => {
+            options.match = { name: value }
+          }
+        }
+      }
+    ]
+  ]
+})
+const includeTest = httpTest.bind(null, {
+  serializers: [
+    [
+      jsonApi, {
+        prefix: '',
+        includePaths: {
+          animal: {
+            allow: [ 'owner.friends' ],
+            limit: 2,
+            default: [ 'owner' ]
+          }
+        }
+      }
+    ]
+  ]
+})
+const truncateTest = httpTest.bind(null, {
+  serializers: [
+    [
+      jsonApi, {
+        prefix: '',
+        maxIncluded: 1
+      }
+    ]
+  ]
+})
+const linkageTest = httpTest.bind(null, {
+  serializers: [
+    [
+      jsonApi, {
+        prefix: '',
+        maxLinkage: 1
+      }
+    ]
+  ]
+})
+const etagTest = httpTest.bind(null, {
+  serializers: [
+    [
+      jsonApi, {
+        prefix: '',
+        etag: 'strong',
+        versionField: 'lastModifiedAt'
+      }
+    ]
+  ],
+  settings: { useETag: false }
+})
+const preconditionTest = httpTest.bind(null, {
+  serializers: [
+    [
+      jsonApi, {
+        prefix: '',
+        etag: 'strong',
+        versionField: 'lastModifiedAt',
+        requirePrecondition: true,
+        bulk: true
+      }
+    ]
+  ],
+  settings: { useETag: false }
+})
+const typeNameTest = httpTest.bind(null, {
+  serializers: [
+    [
+      jsonApi, {
+        prefix: '',
+        typeNames: { user: 'people-directory', animal: 'staff' }
+      }
+    ]
+  ]
+})
+const snakeTest = httpTest.bind(null, {
+  serializers: [
+    [
+      jsonApi, {
+        prefix: '',
+        inflectKeys: 'snake'
+      }
+    ]
+  ]
+})
+const customKeysTest = httpTest.bind(null, {
+  serializers: [
+    [
+      jsonApi, {
+        prefix: '',
+        inflectKeys: {
+          encode: field => `x_${field}`,
+          decode: key => key.replace(/^x_/, '')
+        }
+      }
+    ]
+  ]
+})
 const prefixTest = httpTest.bind(null, {
   serializers: [
     [
@@ -69,6 +297,108 @@ run((assert, comment) => {
 })
 
 
+run((assert, comment) => {
+  comment('accept media type with unsupported parameter')
+  return test('/animals', {
+    headers: { 'Accept': `${mediaType}; charset=utf-8` }
+  }, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 406, 'status is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('accept media type with unsupported extension')
+  return test('/animals', {
+    headers: { 'Accept': `${mediaType}; ext="https://example.com/ext"` }
+  }, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 406, 'status is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('send media type with unsupported extension')
+  return test('/users', {
+    method: 'post',
+    headers: {
+      'Content-Type': `${mediaType}; ext="https://example.com/ext"`
+    },
+    body: { data: { type: 'users', attributes: { name: 'Foo' } } }
+  }, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 415, 'status is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('send payload without content type')
+  return test('/users', {
+    method: 'post',
+    body: { data: { type: 'users', attributes: { name: 'Foo' } } }
+  }, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 415, 'status is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('send payload with unsupported media type')
+  return test('/users', {
+    method: 'post',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Content-Length': 8
+    },
+    body: 'name=Foo'
+  }, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 415, 'status is correct')
+    assert(response.headers['content-type'] === mediaType,
+      'content type is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('accept media type with profiles')
+  return profileTest('/animals', {
+    headers: {
+      'Accept': `${mediaType}; profile="https://example.com/profile ` +
+        'https://example.com/unknown"'
+    }
+  }, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(response.headers['content-type'] ===
+      `${mediaType}; profile="https://example.com/profile"`,
+      'content type is correct')
+    assert(deepEqual(response.body.jsonapi.profile,
+      [ 'https://example.com/profile' ]), 'profile is applied')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('find a missing record with profiles')
+  return profileTest('/users/999', {
+    headers: {
+      'Accept': `${mediaType}; profile="https://example.com/profile"`
+    }
+  }, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 404, 'status is correct')
+    assert(response.headers['content-type'] ===
+      `${mediaType}; profile="https://example.com/profile"`,
+      'content type is correct')
+  })
+})
+
+
 run((assert, comment) => {
   comment('create record')
   return test('/animals', {
@@ -164,82 +494,374 @@ run((assert, comment) => {
 
 
 run((assert, comment) => {
-  comment('update record #1')
-  return test('/users/2', {
-    method: 'patch',
+  comment('create record with wrong relationship type should fail')
+  return test('/animals', {
+    method: 'post',
     headers: { 'Content-Type': mediaType },
     body: {
       data: {
-        id: 2,
-        type: 'users',
-        attributes: {
-          name: 'Jenny Death',
-          'camel-case-field': 'foobar',
-          'birthday': '2015-01-07'
-        },
+        type: 'animals',
+        attributes: { name: 'Rover' },
         relationships: {
-          spouse: {
-            data: { type: 'users', id: 3 }
-          },
-          'owned-pets': {
-            data: [
-              { type: 'animals', id: 3 }
-            ]
-          },
-          enemies: {
-            data: [
-              { type: 'users', id: 3 }
-            ]
-          },
-          friends: {
-            data: [
-              { type: 'users', id: 1 },
-              { type: 'users', id: 3 }
-            ]
-          }
+          owner: { data: { type: 'animals', id: 1 } }
         }
       }
     }
   }, response => {
+    const error = response.body.errors[0]
     assert(validate(response.body), 'response adheres to json api')
-    assert(response.status === 200, 'status is correct')
-    assert(Math.abs(new Date(response.body.data.attributes['last-modified-at'])
-      .getTime() - Date.now()) < 5 * 1000, 'update modifier is correct')
-    assert(response.body.data.attributes['birthday'] ===
-       '2015-01-07T00:00:00.000Z', 'inflected casted value is correct')
+    assert(response.status === 409, 'status is correct')
+    assert(error.status === '409', 'error status is correct')
+    assert(error.code === 'incorrect-type', 'error code is correct')
+    assert(error.source.pointer === '/data/relationships/owner/data/type',
+      'pointer is correct')
   })
 })
 
 
 run((assert, comment) => {
-  comment('update record #2')
-  return test('/animals/1', {
-    method: 'patch',
+  comment('create record with unknown attribute collected')
+  return collectTest('/animals', {
+    method: 'post',
     headers: { 'Content-Type': mediaType },
     body: {
       data: {
-        id: 1,
         type: 'animals',
-        attributes: {
-          nicknames: [ 'Foo', 'Bar' ]
-        }
+        attributes: { name: 'Rover', foo: 'bar' }
       }
     }
   }, response => {
+    const error = response.body.errors[0]
     assert(validate(response.body), 'response adheres to json api')
-    assert(response.status === 200, 'status is correct')
-    assert(Math.abs(new Date(response.body.data.attributes['last-modified-at'])
-      .getTime() - Date.now()) < 5 * 1000, 'update modifier is correct')
+    assert(response.status === 400, 'status is correct')
+    assert(error.code === 'invalid-field', 'error code is correct')
+    assert(error.source.pointer === '/data/attributes/foo',
+      'pointer is correct')
   })
 })
 
 
 run((assert, comment) => {
-  comment('sort a collection and use sparse fields')
-  return test(
-  `/users?${qs.stringify({
-    'sort': 'birthday,-name',
-    'fields[users]': 'name,birthday'
+  comment('update record with relationship as attribute should fail')
+  return test('/animals/1', {
+    method: 'patch',
+    headers: { 'Content-Type': mediaType },
+    body: {
+      data: {
+        type: 'animals',
+        id: 1,
+        attributes: { owner: 2 }
+      }
+    }
+  }, response => {
+    const error = response.body.errors[0]
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 400, 'status is correct')
+    assert(error.code === 'invalid-field', 'error code is correct')
+    assert(error.source.pointer === '/data/attributes/owner',
+      'pointer is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('create record with every error collected')
+  return collectTest('/animals', {
+    method: 'post',
+    headers: { 'Content-Type': mediaType },
+    body: {
+      data: {
+        attributes: { name: 'Rover' },
+        relationships: {
+          owner: { data: { type: 'animals', id: 1 } },
+          foo: { data: null }
+        }
+      }
+    }
+  }, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 400, 'status is correct')
+    assert(deepEqual(response.body.errors.map(error => error.code),
+      [ 'missing-type', 'incorrect-type', 'invalid-field' ]),
+    'errors are correct')
+    assert(deepEqual(response.body.errors.map(error => error.status),
+      [ '400', '409', '400' ]), 'error statuses are correct')
+    assert(response.body.errors[2].source.pointer ===
+      '/data/relationships/foo', 'pointer is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('create record collects errors of the query and payload')
+  return collectTest(`/animals?${qs.stringify({
+    'fields[animals]': 'foo'
+  })}`, {
+    method: 'post',
+    headers: { 'Content-Type': mediaType },
+    body: {
+      data: {
+        type: 'animals',
+        attributes: { name: 'Rover' },
+        relationships: { foo: { data: null } }
+      }
+    }
+  }, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 400, 'status is correct')
+    assert(deepEqual(response.body.errors.map(error => error.source), [
+      { parameter: 'fields[animals]' },
+      { pointer: '/data/relationships/foo' }
+    ]), 'errors are correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('create record collects errors of the query')
+  return collectTest(`/animals?${qs.stringify({
+    'fields[animals]': 'foo'
+  })}`, {
+    method: 'post',
+    headers: { 'Content-Type': mediaType },
+    body: { data: { type: 'animals', attributes: { name: 'Rover' } } }
+  }, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 400, 'status is correct')
+    assert(response.body.errors[0].source.parameter === 'fields[animals]',
+      'error is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('create records in bulk should fail by default')
+  return test('/users', {
+    method: 'post',
+    headers: { 'Content-Type': mediaType },
+    body: {
+      data: [ { type: 'users', attributes: { name: 'Foo' } } ]
+    }
+  }, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 400, 'status is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('create records in bulk')
+  return bulkTest('/users', {
+    method: 'post',
+    headers: { 'Content-Type': mediaType },
+    body: {
+      data: [
+        { type: 'users', attributes: { name: 'Foo' } },
+        { type: 'users', attributes: { name: 'Bar' } }
+      ]
+    }
+  }, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 201, 'status is correct')
+    assert(!('location' in response.headers), 'location header is omitted')
+    assert(deepEqual(response.body.data.map(record => record.attributes.name),
+      [ 'Foo', 'Bar' ]), 'records are correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('create a single record in bulk')
+  return bulkTest('/users', {
+    method: 'post',
+    headers: { 'Content-Type': mediaType },
+    body: {
+      data: [ { type: 'users', attributes: { name: 'Foo' } } ]
+    }
+  }, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 201, 'status is correct')
+    assert(Array.isArray(response.body.data), 'data is an array')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('create records in bulk points to the invalid record')
+  return bulkTest('/users', {
+    method: 'post',
+    headers: { 'Content-Type': mediaType },
+    body: {
+      data: [
+        { type: 'users', attributes: { name: 'Foo' } },
+        { type: 'animals', attributes: { name: 'Bar' } }
+      ]
+    }
+  }, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 409, 'status is correct')
+    assert(response.body.errors[0].source.pointer === '/data/1/type',
+      'pointer is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('create records in bulk points to the invalid value')
+  return bulkTest('/users', {
+    method: 'post',
+    headers: { 'Content-Type': mediaType },
+    body: {
+      data: [
+        { type: 'users', attributes: { name: 'Foo' } },
+        { type: 'users', attributes: { nicknames: 'x' } }
+      ]
+    }
+  }, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 400, 'status is correct')
+    assert(response.body.errors[0].source.pointer ===
+      '/data/1/attributes/nicknames', 'pointer is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('update record #1')
+  return test('/users/2', {
+    method: 'patch',
+    headers: { 'Content-Type': mediaType },
+    body: {
+      data: {
+        id: 2,
+        type: 'users',
+        attributes: {
+          name: 'Jenny Death',
+          'camel-case-field': 'foobar',
+          'birthday': '2015-01-07'
+        },
+        relationships: {
+          spouse: {
+            data: { type: 'users', id: 3 }
+          },
+          'owned-pets': {
+            data: [
+              { type: 'animals', id: 3 }
+            ]
+          },
+          enemies: {
+            data: [
+              { type: 'users', id: 3 }
+            ]
+          },
+          friends: {
+            data: [
+              { type: 'users', id: 1 },
+              { type: 'users', id: 3 }
+            ]
+          }
+        }
+      }
+    }
+  }, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(Math.abs(new Date(response.body.data.attributes['last-modified-at'])
+      .getTime() - Date.now()) < 5 * 1000, 'update modifier is correct')
+    assert(response.body.data.attributes['birthday'] ===
+       '2015-01-07T00:00:00.000Z', 'inflected casted value is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('update records in bulk')
+  return bulkTest('/users/1,2', {
+    method: 'patch',
+    headers: { 'Content-Type': mediaType },
+    body: {
+      data: [
+        { type: 'users', id: 1, attributes: { name: 'Foo' } },
+        { type: 'users', id: 2, attributes: { name: 'Bar' } }
+      ]
+    }
+  }, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(deepEqual(response.body.data.map(record => record.attributes.name),
+      [ 'Foo', 'Bar' ]), 'records are correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('update records in bulk on a collection')
+  return bulkTest('/users', {
+    method: 'patch',
+    headers: { 'Content-Type': mediaType },
+    body: {
+      data: [
+        { type: 'users', id: 3, attributes: { name: 'Foo' } }
+      ]
+    }
+  }, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(response.body.data[0].attributes.name === 'Foo',
+      'record is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('update records in bulk points to the invalid record')
+  return bulkTest('/users/1,2', {
+    method: 'patch',
+    headers: { 'Content-Type': mediaType },
+    body: {
+      data: [
+        { type: 'users', id: 1, attributes: { name: 'Foo' } },
+        { type: 'users', id: 3, attributes: { name: 'Bar' } }
+      ]
+    }
+  }, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 409, 'status is correct')
+    assert(response.body.errors[0].source.pointer === '/data/1/id',
+      'pointer is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('update record #2')
+  return test('/animals/1', {
+    method: 'patch',
+    headers: { 'Content-Type': mediaType },
+    body: {
+      data: {
+        id: 1,
+        type: 'animals',
+        attributes: {
+          nicknames: [ 'Foo', 'Bar' ]
+        }
+      }
+    }
+  }, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(Math.abs(new Date(response.body.data.attributes['last-modified-at'])
+      .getTime() - Date.now()) < 5 * 1000, 'update modifier is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('sort a collection and use sparse fields')
+  return test(
+  `/users?${qs.stringify({
+    'sort': 'birthday,-name',
+    'fields[users]': 'name,birthday'
   })}`, null, response => {
     assert(validate(response.body), 'response adheres to json api')
     assert(response.status === 200, 'status is correct')
@@ -253,125 +875,1289 @@ run((assert, comment) => {
 
 
 run((assert, comment) => {
-  comment('use limit option')
+  comment('sort a collection by relationship path should fail if unsupported')
   return test(
   `/users?${qs.stringify({
-    'page[limit]': 1
+    'sort': 'spouse.name,-owned-pets.birthday'
   })}`, null, response => {
+    const error = response.body.errors[0]
     assert(validate(response.body), 'response adheres to json api')
-    assert(response.status === 200, 'status is correct')
-    assert('first' in response.body.links, 'pagination first included')
-    assert('last' in response.body.links, 'pagination last included')
-    assert('next' in response.body.links, 'pagination next included')
+    assert(response.status === 400, 'status is correct')
+    assert(error.code === 'invalid-sort', 'error code is correct')
+    assert(error.source.parameter === 'sort', 'parameter is correct')
+    assert(~error.detail.indexOf('"ownedPets.birthday"'),
+      'detail lists the paths')
+  })
+})
 
-    for (const key in response.body.links) {
-      if (key === 'self') continue
-      assert(Object.keys(qs.parse(
-        response.body.links[key].split('?')[1])).length === 2,
-        'number of query options correct')
+
+run((assert, comment) => {
+  comment('sort a collection by invalid relationship path should fail')
+  return test(
+  `/users?${qs.stringify({
+    'sort': 'spouse.foo'
+  })}`, null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 400, 'status is correct')
+    assert(response.body.errors[0].code === 'invalid-path',
+      'error code is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('sort a collection by unknown field should fail')
+  return test(
+  `/users?${qs.stringify({
+    'sort': 'foo'
+  })}`, null, response => {
+    const error = response.body.errors[0]
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 400, 'status is correct')
+    assert(error.code === 'invalid-field', 'error code is correct')
+    assert(error.source.parameter === 'sort', 'parameter is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('include unknown path should fail')
+  return test(
+  `/users?${qs.stringify({
+    include: 'spouse.foo'
+  })}`, null, response => {
+    const error = response.body.errors[0]
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 400, 'status is correct')
+    assert(error.code === 'invalid-include', 'error code is correct')
+    assert(error.source.parameter === 'include', 'parameter is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('include path beyond the limit should fail')
+  return test(
+  `/users?${qs.stringify({
+    include: 'spouse.spouse.spouse.spouse'
+  })}`, null, response => {
+    const error = response.body.errors[0]
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 400, 'status is correct')
+    assert(error.code === 'invalid-include', 'error code is correct')
+    assert(error.source.parameter === 'include', 'parameter is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('use sparse fields of unknown type should fail')
+  return test(
+  `/users?${qs.stringify({
+    'fields[foos]': 'name'
+  })}`, null, response => {
+    const error = response.body.errors[0]
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 400, 'status is correct')
+    assert(error.code === 'invalid-type', 'error code is correct')
+    assert(error.source.parameter === 'fields[foos]', 'parameter is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('use unknown sparse fields should fail')
+  return test(
+  `/users?${qs.stringify({
+    'fields[users]': 'name,foo'
+  })}`, null, response => {
+    const error = response.body.errors[0]
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 400, 'status is correct')
+    assert(error.code === 'invalid-field', 'error code is correct')
+    assert(error.source.parameter === 'fields[users]', 'parameter is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('use unrecognized query parameter should fail')
+  return test(
+  `/users?${qs.stringify({
+    'filters[name]': 'John Doe'
+  })}`, null, response => {
+    const error = response.body.errors[0]
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 400, 'status is correct')
+    assert(error.code === 'invalid-parameter', 'error code is correct')
+    assert(error.source.parameter === 'filters[name]',
+      'parameter is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('use implementation-specific query parameter')
+  return test(
+  `/users?${qs.stringify({
+    '_cache': '123'
+  })}`, null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(response.body.data.length === 3, 'parameter is ignored')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('use registered query parameter')
+  return parameterTest(
+  `/users?${qs.stringify({
+    'nameIs': 'Jane Doe'
+  })}`, null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(deepEqual(
+      response.body.data.map(record => record.attributes.name),
+      [ 'Jane Doe' ]), 'match is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('use limit option')
+  return test(
+  `/users?${qs.stringify({
+    'page[limit]': 1
+  })}`, null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert('first' in response.body.links, 'pagination first included')
+    assert('last' in response.body.links, 'pagination last included')
+    assert('next' in response.body.links, 'pagination next included')
+
+    for (const key in response.body.links) {
+      if (key === 'self') continue
+      assert(Object.keys(qs.parse(
+        response.body.links[key].split('?')[1])).length === 2,
+        'number of query options correct')
+    }
+
+    assert(response.body.data.length === 1, 'limit option applied')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('skip count per request')
+  return test(
+  `/users?${qs.stringify({
+    'page[limit]': 1,
+    'page[count]': false
+  })}`, null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(!('meta' in response.body), 'count not shown')
+    assert('first' in response.body.links, 'pagination first included')
+    assert(!('last' in response.body.links), 'pagination last excluded')
+    assert(qs.parse(response.body.links.next.split('?')[1])['page[count]'] ===
+      'false', 'pagination next included')
+    assert(response.body.data.length === 1, 'limit option applied')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('skip count on last page')
+  return test(
+  `/users?${qs.stringify({
+    'page[offset]': 2,
+    'page[limit]': 1,
+    'page[count]': false
+  })}`, null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert('prev' in response.body.links, 'pagination prev included')
+    assert(!('next' in response.body.links), 'pagination next excluded')
+    assert(response.body.data.length === 1, 'limit option applied')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('skip count by default')
+  return uncountedTest(
+  `/users?${qs.stringify({
+    'page[number]': 2,
+    'page[size]': 1
+  })}`, null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(!('meta' in response.body), 'count not shown')
+    assert(!('last' in response.body.links), 'pagination last excluded')
+    assert('prev' in response.body.links, 'pagination prev included')
+    assert('next' in response.body.links, 'pagination next included')
+    assert(response.body.data.length === 1, 'size option applied')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('count option must be boolean')
+  return test(
+  `/users?${qs.stringify({
+    'page[count]': 'maybe'
+  })}`, null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 400, 'status is correct')
+    assert(response.body.errors[0].source.parameter === 'page[count]',
+      'parameter is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('use page number pagination')
+  return numberTest(
+  `/users?${qs.stringify({
+    'sort': 'name',
+    'page[number]': 2,
+    'page[size]': 1
+  })}`, null, response => {
+    const links = response.body.links
+    const page = key => qs.parse(links[key].split('?')[1])['page[number]']
+
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(response.body.data[0].attributes.name === 'John Doe',
+      'page is correct')
+    assert(response.body.meta.totalPages === 3, 'total pages is correct')
+    assert(deepEqual([ 'first', 'prev', 'next', 'last' ].map(page),
+      [ '1', '1', '3', '3' ]), 'pagination links are correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('use cursor pagination')
+  return cursorTest(
+  `/users?${qs.stringify({
+    'sort': 'name',
+    'page[size]': 2
+  })}`, null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(deepEqual(
+      response.body.data.map(record => record.attributes.name),
+      [ 'Jane Doe', 'John Doe' ]), 'page is correct')
+    assert(response.body.links.prev === null, 'pagination prev is null')
+    assert(~response.body.links.next.indexOf(
+      `page%5Bafter%5D=${response.body.data[1].meta.page.cursor}`),
+      'pagination next is correct')
+    assert(!('count' in (response.body.meta || {})), 'count is omitted')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('walk cursor pages forwards and backwards')
+  const ids = []
+  const follow = (path, next) => cursorTest(path, null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    ids.push(response.body.data.map(record => record.id))
+    return next ? next(response.body.links) : null
+  })
+
+  return follow(`/users?${qs.stringify({
+    'sort': '-birthday',
+    'page[size]': 1
+  })}`, links => follow(links.next, links => follow(links.next, links => {
+    assert(links.next === null, 'pagination next is null')
+    return follow(links.prev, links => {
+      assert(links.prev !== null && links.next !== null,
+        'pagination links are present')
+    })
+  })))
+  .then(() => assert(deepEqual(ids, [ [ '2' ], [ '3' ], [ '1' ], [ '3' ] ]),
+    'pages are correct'))
+})
+
+
+run((assert, comment) => {
+  comment('walk cursor pages across ties')
+
+  // The fixtures have no records which tie, nor numbers to sort on.
+  const store = fortune({ item: { n: { type: Number } } })
+  const listener = fortuneHTTP(store, {
+    serializers: [ [ jsonApi, { prefix: '', pagination: 'cursor' } ] ]
+  })
+  const server = http.createServer((request, response) =>
+    listener(request, response).catch(() => null))
+  const get = path => new Promise((resolve, reject) =>
+    http.get({ port: server.address().port, path }, response => {
+      const chunks = []
+      response.on('error', reject)
+      response.on('data', chunk => chunks.push(chunk))
+      response.on('end', () => resolve({
+        status: response.statusCode,
+        body: JSON.parse(Buffer.concat(chunks))
+      }))
+    }))
+  const walk = (path, key, pages) => get(path).then(response => {
+    assert(response.status === 200, 'status is correct')
+    pages.push(response.body.data)
+    return response.body.links[key] ?
+      walk(response.body.links[key], key, pages) : pages
+  })
+  const idsOf = pages => pages.map(page => page.map(record => record.id))
+
+  return store.connect()
+  .then(() => store.create('item',
+    Array.from({ length: 12 }, (x, i) => ({ n: i % 3 }))))
+  .then(() => new Promise(resolve => server.listen(resolve)))
+  .then(() => Promise.all([ '', '&sort=n', '&sort=-n' ].map(sort =>
+    walk(`/items?page%5Bsize%5D=5${sort}`, 'next', [])
+    .then(pages => {
+      const ids = [].concat(...idsOf(pages))
+      const values = [].concat(...pages)
+        .map(record => record.attributes.n)
+
+      assert(deepEqual(pages.map(page => page.length), [ 5, 5, 2 ]),
+        'pages are full')
+      assert(new Set(ids).size === 12, 'records are not repeated')
+      if (sort) assert(deepEqual(values, values.slice().sort((a, b) =>
+        sort === '&sort=n' ? a - b : b - a)), 'records are sorted')
+
+      // Paging backwards from the end gives the same records.
+      return walk(`/items?page%5Bsize%5D=5${sort}&page%5Bbefore%5D=`,
+        'prev', [])
+      .then(reversed => assert(deepEqual(
+        [].concat(...idsOf(reversed.reverse())), ids),
+      'records are the same backwards'))
+      .then(() => get(`/items?page%5Bsize%5D=5${sort}&page%5Bbefore%5D=`))
+      .then(response => walk(response.body.links.prev, 'next', []))
+      .then(pages => assert(deepEqual(idsOf(pages),
+        [ ids.slice(2, 7), ids.slice(7, 12) ]),
+      'records are the same forwards from a page before'))
+    }))))
+  .then(() => {
+    server.close()
+    return store.disconnect()
+  })
+})
+
+
+run((assert, comment) => {
+  comment('cursor pagination requires logical operators')
+  return testInstance().then(store => {
+    let error
+
+    store.adapter.features = {}
+
+    try {
+      fortuneHTTP(store, {
+        serializers: [ [ jsonApi, { pagination: 'cursor' } ] ]
+      })
+    }
+    catch (e) {
+      error = e
+    }
+
+    assert(error, 'cursor pagination is rejected')
+
+    return store.disconnect()
+  })
+})
+
+
+run((assert, comment) => {
+  comment('use invalid cursor')
+  return cursorTest(
+  `/users?${qs.stringify({
+    'page[after]': 'foo'
+  })}`, null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 400, 'status is correct')
+    assert(response.body.errors[0].code === 'invalid-cursor',
+      'error code is correct')
+    assert(response.body.errors[0].source.parameter === 'page[after]',
+      'parameter is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('filter a collection')
+  return test(`/users?${qs.stringify({
+    'filter[name]': 'John Doe,Jane Doe',
+    'filter[birthday]': '1992-12-07'
+  })}`, null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(~response.body.links.self.indexOf('/users'), 'link is correct')
+    assert(deepEqual(
+      response.body.data.map(record => record.attributes.name).sort(),
+      [ 'John Doe' ]), 'match is correct')
+  })
+})
+
+run((assert, comment) => {
+  comment('filter a collection with an invalid value should fail')
+  return test(`/users?${qs.stringify({
+    'filter[birthday]': 'foo'
+  })}`, null, response => {
+    const error = response.body.errors[0]
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 400, 'status is correct')
+    assert(error.status === '400', 'error status is correct')
+    assert(error.code === 'invalid-value', 'error code is correct')
+    assert(error.source.parameter === 'filter[birthday]',
+      'parameter is correct')
+  })
+})
+
+run((assert, comment) => {
+  comment('filter a collection with every error collected')
+  return collectTest(`/users?${qs.stringify({
+    'filter[foo]': 'bar',
+    'filter[birthday]': 'foo'
+  })}`, null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 400, 'status is correct')
+    assert(deepEqual(
+      response.body.errors.map(error => error.source.parameter),
+      [ 'filter[foo]', 'filter[birthday]' ]), 'errors are correct')
+  })
+})
+
+run((assert, comment) => {
+  comment('filter a collection for exists')
+  return test(`/users?${qs.stringify({
+    'filter[picture][exists]': 'true'
+  })}`, null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(~response.body.links.self.indexOf('/users'), 'link is correct')
+    assert(deepEqual(
+      response.body.data.map(record => record.attributes.name).sort(),
+      [ 'Jane Doe', 'John Doe', 'Microsoft Bob' ]), 'match is correct')
+  })
+})
+
+run((assert, comment) => {
+  comment('filter a collection for not exists')
+  return test(`/users?${qs.stringify({
+    'filter[picture][exists]': 'false'
+  })}`, null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(~response.body.links.self.indexOf('/users'), 'link is correct')
+    assert(deepEqual(
+      response.body.data.map(record => record.attributes.name).sort(),
+      [ ]), 'match is correct')
+  })
+})
+
+run((assert, comment) => {
+  comment('filter a collection for range')
+  return test(`/users?${qs.stringify({
+    'filter[name][min]': 'Max',
+    'filter[name][max]': 'Min'
+  })}`, null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(~response.body.links.self.indexOf('/users'), 'link is correct')
+    assert(deepEqual(
+      response.body.data.map(record => record.attributes.name).sort(),
+      [ 'Microsoft Bob' ]), 'match is correct')
+  })
+})
+
+run((assert, comment) => {
+  comment('filter a collection for not equal')
+  return test(`/users?${qs.stringify({
+    'filter[name][ne]': 'John Doe'
+  })}`, null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(deepEqual(
+      response.body.data.map(record => record.attributes.name).sort(),
+      [ 'Jane Doe', 'Microsoft Bob' ]), 'match is correct')
+  })
+})
+
+run((assert, comment) => {
+  comment('filter a collection for strict inequalities')
+  return test(`/users?${qs.stringify({
+    'filter[birthday][gt]': '1992-12-07',
+    'filter[birthday][lt]': '1997-07-30'
+  })}`, null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(deepEqual(
+      response.body.data.map(record => record.attributes.name).sort(),
+      [ 'Microsoft Bob' ]), 'match is correct')
+  })
+})
+
+run((assert, comment) => {
+  comment('filter a collection for set membership')
+  return test(`/users?${qs.stringify({
+    'filter[name][in]': 'John Doe,Jane Doe',
+    'filter[name][nin]': 'Jane Doe'
+  })}`, null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(deepEqual(
+      response.body.data.map(record => record.attributes.name).sort(),
+      [ 'John Doe' ]), 'match is correct')
+  })
+})
+
+run((assert, comment) => {
+  comment('filter a collection for containment')
+  return test(`/users?${qs.stringify({
+    'filter[nicknames][contains]': 'Genius'
+  })}`, null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(deepEqual(
+      response.body.data.map(record => record.attributes.name).sort(),
+      [ 'Microsoft Bob' ]), 'match is correct')
+  })
+})
+
+run((assert, comment) => {
+  comment('filter a collection for prefix should fail by default')
+  return test(`/users?${qs.stringify({
+    'filter[name][starts-with]': 'Jo'
+  })}`, null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 400, 'status is correct')
+    assert(response.body.errors[0].code === 'invalid-filter',
+      'error code is correct')
+  })
+})
+
+run((assert, comment) => {
+  comment('filter a collection using a custom operator')
+  return operatorTest(`/users?${qs.stringify({
+    'filter[name][starts-with]': 'Jo'
+  })}`, null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(deepEqual(
+      response.body.data.map(record => record.attributes.name).sort(),
+      [ 'John Doe' ]), 'match is correct')
+  })
+})
+
+run((assert, comment) => {
+  comment('filter a collection by relationship path')
+  return test(`/users?${qs.stringify({
+    'filter[spouse.name]': 'Jane Doe'
+  })}`, null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(deepEqual(
+      response.body.data.map(record => record.attributes.name).sort(),
+      [ 'John Doe' ]), 'match is correct')
+  })
+})
+
+run((assert, comment) => {
+  comment('filter a collection by relationship path for range')
+  return test(`/users?${qs.stringify({
+    'filter[owned-pets.birthday][min]': '2014-01-01'
+  })}`, null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(deepEqual(
+      response.body.data.map(record => record.attributes.name).sort(),
+      [ 'Jane Doe' ]), 'match is correct')
+  })
+})
+
+run((assert, comment) => {
+  comment('filter a collection by relationship path for exists')
+  return test(`/users?${qs.stringify({
+    'filter[owned-pets.nicknames][exists]': 'true'
+  })}`, null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(deepEqual(
+      response.body.data.map(record => record.attributes.name).sort(),
+      [ 'John Doe' ]), 'match is correct')
+  })
+})
+
+run((assert, comment) => {
+  comment('filter a collection by nested relationship path')
+  return test(`/users?${qs.stringify({
+    'filter[spouse.owned-pets.name]': 'Lappy'
+  })}`, null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(deepEqual(
+      response.body.data.map(record => record.attributes.name).sort(),
+      [ 'John Doe' ]), 'match is correct')
+  })
+})
+
+run((assert, comment) => {
+  comment('filter a collection by invalid relationship path should fail')
+  return test(`/users?${qs.stringify({
+    'filter[spouse.foo]': 'bar'
+  })}`, null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 400, 'status is correct')
+    assert(response.body.errors[0].code === 'invalid-path',
+      'error code is correct')
+  })
+})
+
+run((assert, comment) => {
+  comment('filter a collection by an or group')
+  return test(`/users?${qs.stringify({
+    'filter[or][0][name]': 'John Doe',
+    'filter[or][1][birthday]': '1995-04-10'
+  })}`, null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(deepEqual(
+      response.body.data.map(record => record.attributes.name).sort(),
+      [ 'John Doe', 'Microsoft Bob' ]), 'match is correct')
+  })
+})
+
+run((assert, comment) => {
+  comment('filter a collection by a not group')
+  return test(`/users?${qs.stringify({
+    'filter[not][name]': 'John Doe'
+  })}`, null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(deepEqual(
+      response.body.data.map(record => record.attributes.name).sort(),
+      [ 'Jane Doe', 'Microsoft Bob' ]), 'match is correct')
+  })
+})
+
+run((assert, comment) => {
+  comment('filter a collection by an or group with operators and paths')
+  return test(`/users?${qs.stringify({
+    'filter[or][0][spouse.name]': 'John Doe',
+    'filter[or][3][birthday][max]': '1993-01-01'
+  })}`, null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(deepEqual(
+      response.body.data.map(record => record.attributes.name).sort(),
+      [ 'Jane Doe', 'John Doe' ]), 'match is correct')
+  })
+})
+
+run((assert, comment) => {
+  comment('filter a collection by an invalid or group should fail')
+  return test(`/users?${qs.stringify({
+    'filter[or][foo][name]': 'John Doe'
+  })}`, null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 400, 'status is correct')
+    assert(response.body.errors[0].code === 'invalid-filter',
+      'error code is correct')
+  })
+})
+
+run((assert, comment) => {
+  comment(`filter fuzzy-match: Jane and John have
+          a common friend called something like "soft".`)
+  return test(`/users?${qs.stringify({
+    'filter[friends:name][fuzzy-match]': 'soft'
+  })}`, null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(~response.body.links.self.indexOf('/users'), 'link is correct')
+    assert(deepEqual(
+      response.body.data.map(record => record.attributes.name).sort(),
+      [ 'Jane Doe', 'John Doe' ]), 'match is correct')
+  })
+})
+
+run((assert, comment) => {
+  comment('dasherizes the camel cased fields')
+  return test('/users/1', null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert('created-at' in response.body.data.attributes,
+      'camel case field is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('find a single record with include')
+  return test(
+    `/animals/1?${qs.stringify({ include: 'owner.friends' })}`,
+  null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(~response.body.links.self.indexOf('/animals/1'), 'link is correct')
+    assert(response.body.data.id === '1', 'id is correct')
+    assert(deepEqual(response.body.included.map(record => record.type),
+      [ 'users', 'users' ]), 'type is correct')
+    assert(deepEqual(response.body.included.map(record => record.id)
+      .sort((a, b) => a - b), [ '1', '3' ]), 'id is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('find a single record with default include')
+  return includeTest('/animals/1', null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(deepEqual(response.body.included.map(record => record.id),
+      [ '1' ]), 'default include is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('find a single record with allowed include')
+  return includeTest(
+    `/animals/1?${qs.stringify({ include: 'owner.friends' })}`,
+  null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(deepEqual(response.body.included.map(record => record.id)
+      .sort((a, b) => a - b), [ '1', '3' ]), 'id is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('find a single record with empty include')
+  return includeTest(
+    `/animals/1?${qs.stringify({ include: '' })}`,
+  null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(!('included' in response.body), 'default include is omitted')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('find a single record with disallowed include should fail')
+  return includeTest(
+    `/animals/1?${qs.stringify({ include: 'likedBy' })}`,
+  null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 400, 'status is correct')
+    assert(response.body.errors[0].code === 'invalid-include',
+      'error code is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('find a single record with entity tag')
+  return etagTest('/users/1', null, response => {
+    const etag = response.headers['etag']
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(/^"[^"]+"$/.test(etag), 'entity tag is strong')
+
+    return etagTest('/users/1', {
+      headers: { 'If-None-Match': `"other", W/${etag}` }
+    }, response => {
+      assert(response.status === 304, 'status is correct')
+      assert(!response.body.length, 'body is empty')
+      assert(response.headers['etag'] === etag, 'entity tag is correct')
+    })
+  })
+})
+
+
+run((assert, comment) => {
+  comment('find a collection with changed entity tag')
+  return etagTest('/users', {
+    headers: { 'If-None-Match': '"other"' }
+  }, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(response.headers['etag'], 'entity tag is shown')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('find a missing record with entity tags')
+  return etagTest('/users/999', null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 404, 'status is correct')
+    assert(!response.headers['etag'], 'entity tag is omitted')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('update a record with matching entity tag')
+  return preconditionTest('/users/1', null, response => {
+    const etag = response.headers['etag']
+
+    return preconditionTest('/users/1', {
+      method: 'patch',
+      headers: { 'Content-Type': mediaType, 'If-Match': etag },
+      body: {
+        data: {
+          id: 1,
+          type: 'users',
+          meta: { version: '2016-04-30T00:00:00.000Z' },
+          attributes: { name: 'Foo' }
+        }
+      }
+    }, response => {
+      assert(validate(response.body), 'response adheres to json api')
+      assert(response.status === 200, 'status is correct')
+      assert(response.body.data.attributes.name === 'Foo', 'name is updated')
+    })
+  })
+})
+
+
+run((assert, comment) => {
+  comment('find a single record with entity tag of a query')
+  return etagTest('/users/1', null, response => {
+    const etag = response.headers['etag']
+
+    return etagTest(`/users/1?${qs.stringify({
+      'include': 'spouse',
+      'fields[users]': 'name,spouse'
+    })}`, {
+      headers: { 'If-None-Match': etag }
+    }, response => {
+      assert(validate(response.body), 'response adheres to json api')
+      assert(response.status === 200, 'status is correct')
+      assert(response.headers['etag'] !== etag, 'entity tag is different')
+    })
+  })
+})
+
+
+run((assert, comment) => {
+  comment('update a record with entity tag of a query should fail')
+  return preconditionTest(`/users/1?${qs.stringify({
+    'include': 'spouse',
+    'fields[users]': 'name,spouse'
+  })}`, null, response => {
+    const etag = response.headers['etag']
+
+    return preconditionTest('/users/1', {
+      method: 'patch',
+      headers: { 'Content-Type': mediaType, 'If-Match': etag },
+      body: {
+        data: { id: 1, type: 'users', attributes: { name: 'Foo' } }
+      }
+    }, response => {
+      assert(validate(response.body), 'response adheres to json api')
+      assert(response.status === 412, 'status is correct')
+    })
+  })
+})
+
+
+run((assert, comment) => {
+  comment('update a record with weak entity tag')
+  return preconditionTest('/users/1', null, response => {
+    const etag = response.headers['etag']
+
+    return preconditionTest('/users/1', {
+      method: 'patch',
+      headers: { 'Content-Type': mediaType, 'If-Match': `W/${etag}` },
+      body: {
+        data: { id: 1, type: 'users', attributes: { name: 'Foo' } }
+      }
+    }, response => {
+      assert(validate(response.body), 'response adheres to json api')
+      assert(response.status === 412, 'status is correct')
+    })
+  })
+})
+
+
+run((assert, comment) => {
+  comment('update records in bulk with entity tags')
+  return Promise.all([ '/users/1', '/users/2' ].map(path =>
+    preconditionTest(path, null, response => response.headers['etag'])))
+  .then(etags => preconditionTest('/users', {
+    method: 'patch',
+    headers: { 'Content-Type': mediaType, 'If-Match': etags.join(', ') },
+    body: {
+      data: [
+        { type: 'users', id: 1, attributes: { name: 'Foo' } },
+        { type: 'users', id: 2, attributes: { name: 'Bar' } }
+      ]
+    }
+  }, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+  }))
+})
+
+
+run((assert, comment) => {
+  comment('update records in bulk with a missing entity tag')
+  return preconditionTest('/users/1', null, response => {
+    const etag = response.headers['etag']
+
+    return preconditionTest('/users', {
+      method: 'patch',
+      headers: { 'Content-Type': mediaType, 'If-Match': etag },
+      body: {
+        data: [
+          { type: 'users', id: 1, attributes: { name: 'Foo' } },
+          { type: 'users', id: 2, attributes: { name: 'Bar' } }
+        ]
+      }
+    }, response => {
+      assert(validate(response.body), 'response adheres to json api')
+      assert(response.status === 412, 'status is correct')
+    })
+  })
+})
+
+
+run((assert, comment) => {
+  comment('update records in bulk without precondition')
+  return preconditionTest('/users', {
+    method: 'patch',
+    headers: { 'Content-Type': mediaType },
+    body: {
+      data: [ { type: 'users', id: 1, attributes: { name: 'Foo' } } ]
+    }
+  }, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 428, 'status is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('update a relationship entity without precondition')
+  return preconditionTest('/users/2/relationships/spouse', {
+    method: 'patch',
+    headers: { 'Content-Type': mediaType },
+    body: { data: { type: 'users', id: 3 } }
+  }, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 428, 'status is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('update a relationship entity with entity tag')
+  return preconditionTest('/users/2', null, response => {
+    const etag = response.headers['etag']
+
+    return preconditionTest('/users/2/relationships/spouse', {
+      method: 'patch',
+      headers: { 'Content-Type': mediaType, 'If-Match': etag },
+      body: { data: { type: 'users', id: 3 } }
+    }, response => {
+      assert(response.status === 204, 'status is correct')
+    })
+  })
+})
+
+
+run((assert, comment) => {
+  comment('update a record with unverifiable entity tag')
+  return test('/users/1', {
+    method: 'patch',
+    headers: { 'Content-Type': mediaType, 'If-Match': '"tag"' },
+    body: {
+      data: { id: 1, type: 'users', attributes: { name: 'Foo' } }
+    }
+  }, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 412, 'status is correct')
+    assert(response.body.errors[0].source.header === 'If-Match',
+      'source is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('update a record with stale entity tag')
+  return preconditionTest('/users/1', {
+    method: 'patch',
+    headers: { 'Content-Type': mediaType, 'If-Match': '"stale"' },
+    body: {
+      data: { id: 1, type: 'users', attributes: { name: 'Foo' } }
+    }
+  }, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 412, 'status is correct')
+    assert(response.body.errors[0].status === '412', 'error status is correct')
+    assert(response.body.errors[0].title === 'PreconditionFailedError',
+      'error title is correct')
+    assert(response.body.errors[0].source.header === 'If-Match',
+      'source is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('update a record with stale version')
+  return preconditionTest('/users/1', {
+    method: 'patch',
+    headers: { 'Content-Type': mediaType, 'If-Match': '*' },
+    body: {
+      data: {
+        id: 1,
+        type: 'users',
+        meta: { version: '2016-01-01T00:00:00.000Z' },
+        attributes: { name: 'Foo' }
+      }
+    }
+  }, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 412, 'status is correct')
+    assert(response.body.errors[0].source.pointer === '/data/meta/version',
+      'pointer is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('delete a record without precondition')
+  return preconditionTest('/users/1', { method: 'delete' }, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 428, 'status is correct')
+    assert(response.body.errors[0].code === 'missing-precondition',
+      'code is correct')
+    assert(response.body.errors[0].title === 'PreconditionRequiredError',
+      'title is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('weak entity tags can not be used with a version field')
+  return testInstance().then(store => {
+    let error
+
+    try {
+      fortuneHTTP(store, {
+        serializers: [ [ jsonApi, {
+          etag: 'weak', versionField: 'lastModifiedAt'
+        } ] ]
+      })
+    }
+    catch (e) {
+      error = e
     }
 
-    assert(response.body.data.length === 1, 'limit option applied')
+    assert(error, 'options are rejected')
+
+    return store.disconnect()
   })
 })
 
 
 run((assert, comment) => {
-  comment('filter a collection')
-  return test(`/users?${qs.stringify({
-    'filter[name]': 'John Doe,Jane Doe',
-    'filter[birthday]': '1992-12-07'
+  comment('find a single record with type names')
+  return typeNameTest(`/people-directory/2?${qs.stringify({
+    'fields[staff]': 'name',
+    'include': 'owned-pets'
   })}`, null, response => {
+    const record = response.body.data
     assert(validate(response.body), 'response adheres to json api')
     assert(response.status === 200, 'status is correct')
-    assert(~response.body.links.self.indexOf('/users'), 'link is correct')
-    assert(deepEqual(
-      response.body.data.map(record => record.attributes.name).sort(),
-      [ 'John Doe' ]), 'match is correct')
+    assert(record.type === 'people-directory', 'type is correct')
+    assert(record.links.self === '/people-directory/2', 'link is correct')
+    assert(record.relationships['owned-pets'].data.every(identifier =>
+      identifier.type === 'staff'), 'linkage type is correct')
+    assert(response.body.included.every(resource =>
+      resource.type === 'staff' &&
+      deepEqual(Object.keys(resource.attributes), [ 'name' ])),
+    'included records are correct')
   })
 })
 
+
 run((assert, comment) => {
-  comment('filter a collection for exists')
-  return test(`/users?${qs.stringify({
-    'filter[picture][exists]': 'true'
+  comment('type names replace the inflected names')
+  return Promise.all([ '/users/1', '/user/1' ].map(path =>
+    typeNameTest(path, null, response => {
+      assert(validate(response.body), 'response adheres to json api')
+      assert(response.status === 404, 'status is correct')
+    })))
+  .then(() => typeNameTest(`/staff/1?${qs.stringify({
+    'fields[users]': 'name'
   })}`, null, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 400, 'status is correct')
+  }))
+  .then(() => typeNameTest('/people-directory/1', {
+    method: 'patch',
+    headers: { 'Content-Type': mediaType },
+    body: {
+      data: { id: 1, type: 'users', attributes: { name: 'Foo' } }
+    }
+  }, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 409, 'status is correct')
+  }))
+})
+
+
+run((assert, comment) => {
+  comment('show index with type names')
+  return typeNameTest('/', null, response => {
     assert(validate(response.body), 'response adheres to json api')
     assert(response.status === 200, 'status is correct')
-    assert(~response.body.links.self.indexOf('/users'), 'link is correct')
-    assert(deepEqual(
-      response.body.data.map(record => record.attributes.name).sort(),
-      [ 'Jane Doe', 'John Doe', 'Microsoft Bob' ]), 'match is correct')
+    const links = response.body.links
+    assert(links['people-directory'] === '/people-directory' &&
+      links.staff === '/staff' && !('users' in links), 'types are correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('type names must be unique')
+  const throws = fn => {
+    try {
+      fn()
+    }
+    catch (error) {
+      return true
+    }
+    return false
+  }
+
+  return testInstance().then(store => {
+    assert(throws(() => fortuneHTTP(store, {
+      serializers: [ [ jsonApi, { typeNames: { user: 'animals' } } ] ]
+    })), 'duplicate type name is rejected')
+    assert(throws(() => fortuneHTTP(store, {
+      serializers: [ [ jsonApi, { typeNames: { person: 'people' } } ] ]
+    })), 'missing type is rejected')
+
+    return store.disconnect()
   })
 })
 
+
 run((assert, comment) => {
-  comment('filter a collection for not exists')
-  return test(`/users?${qs.stringify({
-    'filter[picture][exists]': 'false'
+  comment('find a single record with snake case keys')
+  return snakeTest(`/users/2?${qs.stringify({
+    'fields[users]': 'created_at,owned_pets'
   })}`, null, response => {
+    const record = response.body.data
     assert(validate(response.body), 'response adheres to json api')
     assert(response.status === 200, 'status is correct')
-    assert(~response.body.links.self.indexOf('/users'), 'link is correct')
-    assert(deepEqual(
-      response.body.data.map(record => record.attributes.name).sort(),
-      [ ]), 'match is correct')
+    assert(deepEqual(Object.keys(record.attributes), [ 'created_at' ]),
+      'attributes are correct')
+    assert(record.relationships.owned_pets.links.related ===
+      '/users/2/owned_pets', 'relationships are correct')
   })
 })
 
+
 run((assert, comment) => {
-  comment('filter a collection for range')
-  return test(`/users?${qs.stringify({
-    'filter[name][min]': 'Max',
-    'filter[name][max]': 'Min'
-  })}`, null, response => {
+  comment('find related records with snake case keys')
+  return snakeTest('/users/2/owned_pets', null, response => {
     assert(validate(response.body), 'response adheres to json api')
     assert(response.status === 200, 'status is correct')
-    assert(~response.body.links.self.indexOf('/users'), 'link is correct')
-    assert(deepEqual(
-      response.body.data.map(record => record.attributes.name).sort(),
-      [ 'Microsoft Bob' ]), 'match is correct')
+    assert(response.body.data.length === 2, 'data length is correct')
   })
 })
 
+
 run((assert, comment) => {
-  comment(`filter fuzzy-match: Jane and John have
-          a common friend called something like "soft".`)
-  return test(`/users?${qs.stringify({
-    'filter[friends:name][fuzzy-match]': 'soft'
+  comment('filter and sort with custom key inflection')
+  return customKeysTest(`/users?${qs.stringify({
+    'filter[x_name]': 'John Doe',
+    'sort': '-x_createdAt'
   })}`, null, response => {
     assert(validate(response.body), 'response adheres to json api')
     assert(response.status === 200, 'status is correct')
-    assert(~response.body.links.self.indexOf('/users'), 'link is correct')
-    assert(deepEqual(
-      response.body.data.map(record => record.attributes.name).sort(),
-      [ 'Jane Doe', 'John Doe' ]), 'match is correct')
+    assert(deepEqual(response.body.data.map(record =>
+      record.attributes.x_name), [ 'John Doe' ]), 'match is correct')
+
+    const links = response.body.data[0].relationships.x_friends.links
+    assert(links.self === '/users/1/relationships/x_friends' &&
+      links.related === '/users/1/x_friends', 'links are correct')
+
+    return customKeysTest(links.self, null, response => {
+      assert(validate(response.body), 'response adheres to json api')
+      assert(response.status === 200, 'relationship link is found')
+    })
   })
 })
 
+
 run((assert, comment) => {
-  comment('dasherizes the camel cased fields')
-  return test('/users/1', null, response => {
+  comment('key inflection must exist')
+  return testInstance().then(store => {
+    let error
+
+    try {
+      fortuneHTTP(store, {
+        serializers: [ [ jsonApi, { inflectKeys: 'pascal' } ] ]
+      })
+    }
+    catch (e) {
+      error = e
+    }
+
+    assert(error, 'invalid key inflection is rejected')
+
+    return store.disconnect()
+  })
+})
+
+
+run((assert, comment) => {
+  comment('find a single record with truncated include')
+  return truncateTest(
+    `/animals/1?${qs.stringify({ include: 'owner.friends' })}`,
+  null, response => {
+    const meta = response.body.meta.included
     assert(validate(response.body), 'response adheres to json api')
-    assert('created-at' in response.body.data.attributes,
-      'camel case field is correct')
+    assert(response.status === 200, 'status is correct')
+    assert(response.body.included.length === 1, 'included is truncated')
+    assert(meta.count === 2, 'count is correct')
+    assert(meta.truncated.length &&
+      meta.truncated.every(truncated => truncated.links.related),
+    'truncated relationships are shown')
   })
 })
 
 
 run((assert, comment) => {
-  comment('find a single record with include')
+  comment('use sparse fields on included records')
   return test(
-    `/animals/1?${qs.stringify({ include: 'owner.friends' })}`,
+    `/animals/1?${qs.stringify({
+      include: 'owner',
+      'fields[animals]': 'name,owner',
+      'fields[users]': 'name'
+    })}`,
   null, response => {
     assert(validate(response.body), 'response adheres to json api')
     assert(response.status === 200, 'status is correct')
-    assert(~response.body.links.self.indexOf('/animals/1'), 'link is correct')
-    assert(response.body.data.id === '1', 'id is correct')
-    assert(deepEqual(response.body.included.map(record => record.type),
-      [ 'users', 'users' ]), 'type is correct')
-    assert(deepEqual(response.body.included.map(record => record.id)
-      .sort((a, b) => a - b), [ '1', '3' ]), 'id is correct')
+    assert(deepEqual(Object.keys(response.body.data.attributes), [ 'name' ]),
+      'primary attributes are correct')
+    assert(deepEqual(Object.keys(response.body.data.relationships),
+      [ 'owner' ]), 'primary relationships are correct')
+    assert(deepEqual(Object.keys(response.body.included[0].attributes),
+      [ 'name' ]), 'included attributes are correct')
+    assert(!('relationships' in response.body.included[0]),
+      'included relationships are omitted')
   })
 })
 
@@ -433,6 +2219,56 @@ run((assert, comment) => {
 })
 
 
+run((assert, comment) => {
+  comment('paginate plural related records')
+  return test(`/users/2/owned-pets?${qs.stringify({
+    'sort': '-name',
+    'page[limit]': 1
+  })}`, null, response => {
+    const links = response.body.links
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(response.body.meta.count === 2, 'count is correct')
+    assert(response.body.data.length === 1, 'limit option applied')
+    assert([ 'self', 'first', 'last', 'next' ].every(key =>
+      links[key].indexOf('/users/2/owned-pets?') === 0), 'links are correct')
+    assert(!('prev' in links), 'pagination prev excluded')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('omit linkage beyond the limit')
+  return linkageTest('/users/2', null, response => {
+    const relationships = response.body.data.relationships
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(!('data' in relationships['owned-pets']) &&
+      relationships['owned-pets'].meta.count === 2 &&
+      relationships['owned-pets'].links.self, 'linkage is omitted')
+    assert(relationships.friends.data.length === 1, 'linkage is shown')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('paginate relationship linkage')
+  return test(`/users/2/relationships/owned-pets?${qs.stringify({
+    'page[limit]': 1
+  })}`, null, response => {
+    const links = response.body.links
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(response.body.meta.count === 2, 'count is correct')
+    assert(response.body.data.length === 1, 'limit option applied')
+    assert(links.related === '/users/2/owned-pets', 'related link is correct')
+    assert([ 'self', 'first', 'last', 'next' ].every(key => links[key]
+      .indexOf('/users/2/relationships/owned-pets?') === 0),
+    'links are correct')
+  })
+})
+
+
 run((assert, comment) => {
   comment('find a collection of non-existent related records')
   return test('/users/3/owned-pets', null, response => {
@@ -581,6 +2417,25 @@ run((assert, comment) => {
 })
 
 
+run((assert, comment) => {
+  comment('update relationship entity with invalid identifiers collected')
+  return collectTest('/users/1/relationships/friends', {
+    method: 'patch',
+    headers: { 'Content-Type': mediaType },
+    body: {
+      data: [ null, 5 ]
+    }
+  }, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 400, 'status is correct')
+    assert(deepEqual(response.body.errors.map(error => error.status),
+      [ '400', '400' ]), 'error statuses are correct')
+    assert(deepEqual(response.body.errors.map(error => error.source.pointer),
+      [ '/data/0', '/data/1' ]), 'pointers are correct')
+  })
+})
+
+
 run((assert, comment) => {
   comment('respond to options: index')
   return test('/', { method: 'options' }, response => {
@@ -810,3 +2665,303 @@ run((assert, comment) => {
     }
   })
 })
+
+
+run((assert, comment) => {
+  comment('atomic operations')
+  return atomicTest('/operations', {
+    method: 'post',
+    headers: {
+      'Accept': atomicMediaType,
+      'Content-Type': atomicMediaType
+    },
+    body: {
+      'atomic:operations': [
+        {
+          op: 'add',
+          data: {
+            lid: 'a',
+            type: 'users',
+            attributes: { name: 'Atom' }
+          }
+        },
+        {
+          op: 'add',
+          data: {
+            type: 'animals',
+            attributes: { name: 'Electron' },
+            relationships: {
+              owner: { data: { type: 'users', lid: 'a' } }
+            }
+          }
+        },
+        {
+          op: 'update',
+          ref: { type: 'users', id: 1, relationship: 'spouse' },
+          data: null
+        },
+        {
+          op: 'remove',
+          ref: { type: 'animals', id: 3 }
+        }
+      ]
+    }
+  }, response => {
+    const results = response.body['atomic:results']
+    assert(validate({ data: results[0].data }),
+      'result adheres to json api')
+    assert(response.status === 200, 'status is correct')
+    assert(response.headers['content-type'] === atomicMediaType,
+      'content type is correct')
+    assert(results.length === 4, 'number of results is correct')
+    assert(results[0].data.attributes.name === 'Atom', 'result is correct')
+    assert(results[1].data.relationships.owner.data.id ===
+      results[0].data.id, 'local ID is resolved')
+    assert(deepEqual(results.slice(2), [ {}, {} ]), 'empty results')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('atomic operations point to the failed operation')
+  return atomicTest('/operations', {
+    method: 'post',
+    headers: { 'Content-Type': atomicMediaType },
+    body: {
+      'atomic:operations': [
+        { op: 'remove', ref: { type: 'animals', id: 3 } },
+        { op: 'add', data: { type: 'users', id: 1 } }
+      ]
+    }
+  }, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 409, 'status is correct')
+    assert(response.body.errors[0].source.pointer ===
+      '/atomic:operations/1', 'pointer is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('atomic operations must be objects')
+  return atomicTest('/operations', {
+    method: 'post',
+    headers: { 'Content-Type': atomicMediaType },
+    body: {
+      'atomic:operations': [
+        { op: 'remove', ref: { type: 'animals', id: 3 } },
+        null
+      ]
+    }
+  }, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 400, 'status is correct')
+    assert(response.body.errors[0].code === 'invalid-operation',
+      'code is correct')
+    assert(response.body.errors[0].source.pointer ===
+      '/atomic:operations/1', 'pointer is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('atomic operations point to the invalid member')
+  return atomicTest('/operations', {
+    method: 'post',
+    headers: { 'Content-Type': atomicMediaType },
+    body: {
+      'atomic:operations': [
+        { op: 'remove', ref: 'animals' },
+        { op: 'add', data: 'users' }
+      ]
+    }
+  }, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 400, 'status is correct')
+    assert(response.body.errors[0].code === 'invalid-operation',
+      'code is correct')
+    assert(response.body.errors[0].source.pointer ===
+      '/atomic:operations/0/ref', 'pointer is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('atomic operations need resource data')
+  return atomicTest('/operations', {
+    method: 'post',
+    headers: { 'Content-Type': atomicMediaType },
+    body: {
+      'atomic:operations': [
+        { op: 'update', ref: { type: 'users', id: 1 }, data: [] }
+      ]
+    }
+  }, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 400, 'status is correct')
+    assert(response.body.errors[0].code === 'missing-data',
+      'code is correct')
+    assert(response.body.errors[0].source.pointer ===
+      '/atomic:operations/0/data', 'pointer is correct')
+  })
+})
+
+
+run((assert, comment) => {
+  comment('atomic operations update the referenced resource')
+  return atomicTest('/operations', {
+    method: 'post',
+    headers: { 'Content-Type': atomicMediaType },
+    body: {
+      'atomic:operations': [
+        {
+          op: 'update',
+          ref: { type: 'users', id: 2 },
+          data: { type: 'users', id: 1, attributes: { name: 'Atom' } }
+        }
+      ]
+    }
+  }, (response, store) => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 409, 'status is correct')
+    assert(response.body.errors[0].source.pointer ===
+      '/atomic:operations/0/ref/id', 'pointer is correct')
+    return store.find('user', 1).then(result =>
+      assert(result.payload.records[0].name === 'John Doe',
+        'record is not updated'))
+  })
+})
+
+
+run((assert, comment) => {
+  comment('atomic operations are rolled back on failure')
+  const changes = []
+
+  return atomicTest('/operations', {
+    method: 'post',
+    headers: { 'Content-Type': atomicMediaType },
+    body: {
+      'atomic:operations': [
+        { op: 'remove', ref: { type: 'animals', id: 3 } },
+        { op: 'add', data: { type: 'users', id: 1 } }
+      ]
+    }
+  }, (response, store) => {
+    assert(response.status === 409, 'status is correct')
+    assert(!changes.length, 'no change is emitted')
+    return store.find('animal', 3).then(result => {
+      assert(result.payload.records.length === 1,
+        'earlier operation is not persisted')
+    })
+  }, store => {
+    const adapter = store.adapter
+    let snapshot
+
+    store.on(change, data => changes.push(data))
+
+    // The memory adapter does not roll back, so it is emulated here.
+    adapter.beginTransaction = () => {
+      snapshot = Object.keys(adapter.db).reduce((db, type) => {
+        db[type] = {}
+        for (const id in adapter.db[type])
+          db[type][id] = Object.assign({}, adapter.db[type][id])
+        return db
+      }, {})
+      return Promise.resolve(adapter)
+    }
+    adapter.endTransaction = error => {
+      if (error) adapter.db = snapshot
+      return Promise.resolve()
+    }
+  })
+})
+
+
+run((assert, comment) => {
+  comment('atomic operations emit changes after they are done')
+  const changes = []
+
+  return atomicTest('/operations', {
+    method: 'post',
+    headers: { 'Content-Type': atomicMediaType },
+    body: {
+      'atomic:operations': [
+        { op: 'remove', ref: { type: 'animals', id: 3 } },
+        { op: 'remove', ref: { type: 'animals', id: 2 } }
+      ]
+    }
+  }, response => {
+    assert(response.status === 204, 'status is correct')
+    assert(changes.length === 2, 'changes are emitted')
+  }, store => {
+    store.on(change, data => changes.push(data))
+  })
+})
+
+
+run((assert, comment) => {
+  comment('atomic operations require versions')
+  return atomicTest('/operations', {
+    method: 'post',
+    headers: { 'Content-Type': atomicMediaType },
+    body: {
+      'atomic:operations': [
+        {
+          op: 'remove',
+          ref: { type: 'animals', id: 3 },
+          meta: { version: '2016-04-30T00:00:00.000Z' }
+        },
+        {
+          op: 'update',
+          data: { type: 'users', id: 1, attributes: { name: 'Atom' } }
+        }
+      ]
+    }
+  }, response => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 428, 'status is correct')
+    assert(response.body.errors[0].source.pointer ===
+      '/atomic:operations/1/data/meta', 'pointer is correct')
+  }, null, { versionField: 'lastModifiedAt', requirePrecondition: true })
+})
+
+
+run((assert, comment) => {
+  comment('atomic operations check versions')
+  return atomicTest('/operations', {
+    method: 'post',
+    headers: { 'Content-Type': atomicMediaType },
+    body: {
+      'atomic:operations': [
+        {
+          op: 'update',
+          data: {
+            type: 'users', id: 1,
+            attributes: { name: 'Atom' },
+            meta: { version: '2016-04-29T00:00:00.000Z' }
+          }
+        }
+      ]
+    }
+  }, (response, store) => {
+    assert(validate(response.body), 'response adheres to json api')
+    assert(response.status === 412, 'status is correct')
+    assert(response.body.errors[0].source.pointer ===
+      '/atomic:operations/0/data/meta/version', 'pointer is correct')
+    return store.find('user', 1).then(result =>
+      assert(result.payload.records[0].name === 'John Doe',
+        'record is not updated'))
+  }, null, { versionField: 'lastModifiedAt', requirePrecondition: true })
+})
+
+
+run((assert, comment) => {
+  comment('atomic operations require the extension')
+  return atomicTest('/operations', {
+    method: 'post',
+    headers: { 'Content-Type': mediaType },
+    body: { 'atomic:operations': [] }
+  }, response => {
+    assert(response.status === 415, 'status is correct')
+  })
+})